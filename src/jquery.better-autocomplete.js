@@ -48,51 +48,331 @@
  *   </li><li>
  *     destroy: In this jQuery selection, destroy the Better Autocomplete
  *     instances. It will not be possible to reenable them after this.
+ *   </li><li>
+ *     clearCache: In this jQuery selection, invalidate the cached results,
+ *     e.g. when the underlying data has changed. Cached results of other
+ *     instances with the same cache namespace are invalidated too.
+ *   </li><li>
+ *     updateIndex: In this jQuery selection, rebuild the search index and
+ *     clear the cached results, after the local resource has been changed.
+ *     A new local resource may be provided as second parameter.
+ *   </li><li>
+ *     selected: Get the array of selected result objects of the first
+ *     instance in the selection, or set it if an array is provided as second
+ *     parameter. Only relevant when the chips or strict option is set. In
+ *     strict mode the array holds at most one result.
+ *   </li><li>
+ *     search: In this jQuery selection, search for the query given as second
+ *     parameter, or for the current value of the inputs if omitted, without
+ *     waiting for the delay.
+ *   </li><li>
+ *     open: In this jQuery selection, focus the inputs and open the
+ *     suggestion lists, e.g. from a dropdown button.
+ *   </li><li>
+ *     close: In this jQuery selection, close the suggestion lists until the
+ *     query is altered.
+ *   </li><li>
+ *     setResource: In this jQuery selection, replace the resource with the
+ *     one given as second parameter and search again.
+ *   </li><li>
+ *     setOptions: In this jQuery selection, alter the options with the
+ *     object given as second parameter and search again.
+ *   </li><li>
+ *     getHighlighted: Get the highlighted result object of the first
+ *     instance in the selection, or null if none is highlighted.
+ *   </li><li>
+ *     highlight: In this jQuery selection, highlight the result with the
+ *     index given as second parameter, or remove the highlight if negative.
+ *   </li><li>
+ *     select: In this jQuery selection, select the result with the index
+ *     given as second parameter, or the highlighted result if omitted.
  *   </li></ul>
  *
- * @param {String|Object} [resource]
- *   If String, it will become the path for a remote resource. If not, it will
- *   be treated like a local resource. The path should provide JSON objects
- *   upon HTTP requests.
+ * @param {String|Function|Object} [resource]
+ *   If String, it will become the path for a remote resource. If Function, it
+ *   will be invoked with the query string, an abort signal (see
+ *   {@link callbacks.fetchRemoteData}) and the page cursor (see
+ *   {@link callbacks.processRemoteData}), and it must return either an array
+ *   of result objects or a thenable, e.g. a jQuery Deferred or a Promise,
+ *   which resolves with such an array. Instead of an array, it may return a
+ *   page object like processRemoteData. Function resources are treated like
+ *   remote resources regarding defaults, caching and delay. If neither, it
+ *   will be treated like a local resource. The path should provide JSON
+ *   objects upon HTTP requests. Ignored if options.sources is set.
  *
  * @param {Object} [options]
  *   An object with configurable options:
  *   <ul><li>
- *     charLimit: (default=3 for remote or 1 for local resource) The minimum
- *     number of chars to do an AJAX call. A typical use case for this limit is
- *     to reduce server load.
+ *     charLimit: (default=3 for remote/function or 1 for local resource) The
+ *     minimum number of chars to do an AJAX call. A typical use case for this
+ *     limit is to reduce server load.
  *   </li><li>
  *     delay: (default=350) The time in ms between last keypress and AJAX call.
  *     Typically used to prevent looking up irrelevant strings while the user
- *     is still typing. Only relevant for remote resources.
+ *     is still typing. Only relevant for remote and function resources.
  *   </li><li>
  *     caseSensitive: (default=false) If the search should be case sensitive.
  *     If false, query strings will be converted to lowercase.
  *   </li><li>
- *     cacheLimit: (default=256 for remote or 0 for local resource) The maximum
- *     number of result objects to store in the cache. This option reduces
- *     server load if the user deletes characters to check back on previous
- *     results. To disable caching of previous results, set this option to 0.
+ *     normalize: (default=false) Strip diacritics and fold special letters,
+ *     e.g. "Malmö" becomes "malmo" and "Straße" becomes "strasse". Applied to
+ *     the query as well as the local result fields, so both match. Note that
+ *     remote resources receive the normalized query too.
+ *   </li><li>
+ *     locale: (default=null) The locale for converting to lowercase, e.g.
+ *     "tr" for Turkish dotted and dotless i. Not relevant if caseSensitive.
+ *   </li><li>
+ *     cacheLimit: (default=256 for remote/function or 0 for local resource)
+ *     The maximum number of result objects to store in the cache. This option
+ *     reduces server load if the user deletes characters to check back on
+ *     previous results. To disable caching of previous results, set this
+ *     option to 0. When the limit is exceeded, the least recently used
+ *     results are evicted.
+ *   </li><li>
+ *     cache: (default='instance') Where results are cached. "instance" keeps
+ *     them in memory for this instance only, "shared" in memory for all
+ *     instances on the page, "localStorage" and "sessionStorage" in the Web
+ *     Storage of the browser, so that they survive page reloads. It may also
+ *     be a custom backend object, with the methods getItem(key),
+ *     setItem(key, value) and removeItem(key), storing plain objects.
+ *     Results of local resources are always cached per instance, and so are
+ *     those of function resources and sources, unless cacheNamespace is set.
+ *   </li><li>
+ *     cacheTTL: (default=0) The time in ms until cached results expire, or 0
+ *     if they never expire.
+ *   </li><li>
+ *     cacheNamespace: (default=the resource URL) The prefix of the cache
+ *     keys. Instances with the same namespace share cached results, if the
+ *     cache is not per instance. Set it when different instances use the
+ *     same URL with different parameters. Function resources and sources
+ *     have no URL, so they must set it to share or persist their results.
+ *   </li><li>
+ *     filterCached: (default=false) Answer a query by filtering the cached
+ *     results of one of its prefixes locally, instead of fetching them, if
+ *     those results are complete. A response is complete if the processed
+ *     data is a page object with the property complete set to true, see
+ *     {@link callbacks.processRemoteData}. Filtering is done with the
+ *     queryLocalResults callback, so it only works if the server matches the
+ *     same way.
  *   </li><li>
  *     remoteTimeout: (default=10000) The timeout for remote (AJAX) calls.
  *   </li><li>
+ *     retries: (default=0) The number of times a failed remote call is
+ *     retried before the error is reported.
+ *   </li><li>
+ *     retryDelay: (default=1000) The time in milliseconds before the first
+ *     retry of a failed remote call. It is doubled for every following retry.
+ *   </li><li>
  *     crossOrigin: (default=false) Set to true if cross origin requests will
  *     be performed, i.e. that the remote URL has a different domain. This will
  *     force Internet Explorer to use "jsonp" instead of "json" as datatype.
  *   </li><li>
+ *     method: (default='GET') The HTTP method of remote calls. Other methods
+ *     than GET send the query, the page cursor and the params in the
+ *     request body instead of the URL, encoded according to encoding.
+ *   </li><li>
+ *     encoding: (default='form') The encoding of the request body, when
+ *     method is not GET: 'form' for URL encoded form data, or 'json' for a
+ *     JSON object. JSON requires a browser with native JSON support.
+ *   </li><li>
+ *     headers: (default={}) Custom HTTP headers of remote calls, e.g. a CSRF
+ *     token, or a function which returns them. It is invoked for every
+ *     call, with the input wrapped in jQuery as the only argument.
+ *   </li><li>
+ *     params: (default=null) Extra parameters of remote calls, besides the
+ *     query. Either an object, a function(query, $input) which returns an
+ *     object, or a selector or jQuery object of form fields, whose values
+ *     are sent, e.g. '#country'. The parameters are read when the input is
+ *     processed, and are part of the cache key, so when they change other
+ *     results are fetched.
+ *   </li><li>
+ *     limit: (default=null) The maximum number of results of remote calls,
+ *     sent as the "limit" parameter.
+ *   </li><li>
+ *     dataType: (default='json') The type of the response of remote calls,
+ *     'json' or 'xml'. XML responses are parsed into result objects, see
+ *     {@link callbacks.processRemoteData}.
+ *   </li><li>
  *     selectKeys: (default=[9, 13]) The key codes for keys which will select
  *     the current highlighted element. The defaults are tab, enter.
  *   </li><li>
+ *     wrap: (default=false) Let the up and down arrow keys wrap around from
+ *     the first result to the last one, and vice versa. Results are loaded
+ *     first if there are more.
+ *   </li><li>
  *     autoHighlight: (default=true) Automatically highlight the first result.
+ *   </li><li>
+ *     inlineComplete: (default=false) Complete the input inline with the rest
+ *     of the highlighted result's title, as selected text after the caret,
+ *     if the title starts with the typed text. Right arrow or tab accepts
+ *     the completion, backspace or delete removes it. Not combined with
+ *     multiple.
+ *   </li><li>
+ *     multiple: (default=false) Allow multiple values in the input field,
+ *     separated by any of the separators. Only the token under the caret is
+ *     used as the query, and selecting a result replaces just that token.
+ *   </li><li>
+ *     separators: (default=[',']) The characters which separate values when
+ *     multiple is set, e.g. [',', ';', ' ']. The first one is inserted after a
+ *     selected value.
+ *   </li><li>
+ *     triggers: (default=null) An array of trigger characters, e.g.
+ *     ['@', '#'], which enables mention mode for textareas and
+ *     contenteditable elements. A query runs from a trigger at the start of
+ *     a word to the caret, the suggestion list is shown at the caret, and
+ *     selecting a result replaces just the query. Keys are only captured
+ *     while the list is shown. Not combined with multiple, chips, strict or
+ *     inlineComplete.
+ *   </li><li>
+ *     excludeSelected: (default=false) Remove results which have already been
+ *     chosen from the suggestion list. Only relevant when multiple or chips is
+ *     set.
+ *   </li><li>
+ *     chips: (default=false) Render each selected result as a removable chip
+ *     in front of the input, which is emptied after each selection. Chips can
+ *     be removed with their close button or by pressing backspace in an empty
+ *     input.
+ *   </li><li>
+ *     chipsName: (default=null) If set, the values of the chips are kept in
+ *     sync with hidden inputs for form submission, one "chipsName[]" input per
+ *     chip.
+ *   </li><li>
+ *     chipsDelimiter: (default=null) If set, a single hidden input named
+ *     chipsName is used instead, with the values joined by this string.
+ *   </li><li>
+ *     valueField: (default='value') The result property which holds the value
+ *     to submit. The title is used if a result lacks this property.
+ *   </li><li>
+ *     strict: (default=false) Only accept a value which has been selected
+ *     from the list. The value of the selected result is kept in a hidden
+ *     input, while the input shows the label set by the select callback. If
+ *     the label has been altered when the input loses focus, the input is
+ *     reverted or cleared according to strictBlur, gets the class "invalid"
+ *     and the "bac:invalid" event is triggered. Not combined with chips or
+ *     multiple.
+ *   </li><li>
+ *     strictName: (default=null) The name of the hidden input in strict mode.
+ *     By default the input's own name is moved to the hidden input, so that
+ *     only the value is submitted.
+ *   </li><li>
+ *     strictBlur: (default='revert') What happens to an altered label in
+ *     strict mode when the input loses focus: "revert" restores the label of
+ *     the selected result, "clear" empties the input and the value.
+ *   </li><li>
+ *     matcher: (default='substring') How local results are matched against
+ *     the query. "substring" finds the query anywhere and keeps the source
+ *     order. "ranked" sorts the results by score: prefix matches rank higher
+ *     than word start matches, which rank higher than mid-word matches. It
+ *     may also be a function(query, text, options), returning null if the
+ *     text does not match, otherwise an object with a numeric score property
+ *     (higher is better) and a ranges property, an array of [start, end]
+ *     offsets of the matched parts of the text.
+ *   </li><li>
+ *     typoTolerance: (default=0) The number of typos (edits) allowed when the
+ *     "ranked" matcher finds no exact match. Typo matches rank lowest. Since
+ *     they are slow to find, local resources are only searched for them if
+ *     fewer than 5 results match the query exactly.
+ *   </li><li>
+ *     highlightMatches: (default=false) Wrap the parts of the result titles
+ *     and descriptions which match the query in mark tags, using the matcher
+ *     from options.matcher. Fields which allow HTML are not highlighted.
+ *   </li><li>
+ *     allowHtml: (default=false) Which result fields that may contain HTML,
+ *     true for all or an array of field names: "title", "description" and
+ *     "group". Other fields are HTML escaped, so that results from untrusted
+ *     sources can not inject scripts. Fields which allow HTML are passed
+ *     through the sanitizeHtml callback.
+ *   </li><li>
+ *     appendTo: (default=null) The element, or a selector of it, which the
+ *     suggestion list is appended to, e.g. "body" to escape containers which
+ *     clip it. By default the list is inserted directly after the input.
+ *   </li><li>
+ *     maxHeight: (default=330) The maximum height of the suggestion list in
+ *     pixels. It is further limited to the space available in the viewport.
+ *   </li><li>
+ *     flip: (default=true) Show the suggestion list above the input when it
+ *     does not fit below, if there is more room above.
+ *   </li><li>
+ *     virtualScroll: (default=false) Only render the results which are
+ *     visible in the suggestion list, plus a few around them. Useful when
+ *     thousands of results are returned. Requires that all results have the
+ *     same height, and all group headings have the same height.
+ *   </li><li>
+ *     statusRows: (default=false) Show status rows in the suggestion list,
+ *     which are not selectable: a hint while the query is shorter than
+ *     charLimit, a loading row while remote results are awaited, and a row
+ *     telling that a search did not yield any results, instead of hiding
+ *     the list. See {@link callbacks.themeHint},
+ *     {@link callbacks.themeLoading} and {@link callbacks.themeEmpty}.
+ *   </li><li>
+ *     searchIndex: (default=false) For large local arrays, normalize the
+ *     searchable fields once at init and narrow down longer queries from the
+ *     matches of their prefixes, instead of searching the whole array on
+ *     every keystroke. Local queries are then answered by the index rather
+ *     than the queryLocalResults callback. Custom matchers must only match a
+ *     text if they also match it for every prefix of the query. Use the
+ *     "updateIndex" method when the resource changes.
+ *   </li><li>
+ *     sources: (default=null) An array of named sources to search all at
+ *     once, instead of the single resource. Their results are merged as they
+ *     arrive, under a group heading per source, in the order of the array.
+ *     Sources which are still loading get a loading row under their heading,
+ *     and sources which have failed an error row, see
+ *     {@link callbacks.themeError}.
+ *     Each source is an object with the properties:
+ *     <ul><li>
+ *       name: A unique name of the source.
+ *     </li><li>
+ *       title: (default=name) The group heading. The results are copied
+ *       with their group property set to it, see {@link callbacks.getGroup}.
+ *     </li><li>
+ *       resource: A URL, function or local array, like the resource
+ *       parameter. Local sources are searched with queryLocalResults.
+ *     </li><li>
+ *       processRemoteData: (default=callbacks.processRemoteData) Convert the
+ *       data of a remote source into an array of result objects.
+ *     </li><li>
+ *       charLimit: (default=options.charLimit) The minimum query length for
+ *       this source. Shorter queries are never searched, so it can only
+ *       raise options.charLimit.
+ *     </li><li>
+ *       limit: (default=null) The maximum number of results of this source.
+ *     </li></ul>
+ *     The merged results are cached once all sources have answered, unless
+ *     a source failed. Pagination is not supported with sources.
  *   </li></ul>
  *
  * @param {Object} [callbacks]
  *   An object containing optional callback functions on certain events. See
  *   {@link callbacks} for details. These callbacks should be used when
  *   customization of the default behavior of Better Autocomplete is required.
+ *   Besides invoking the callbacks, the following namespaced events are
+ *   triggered on the input, so that several handlers can observe them:
+ *   <ul><li>
+ *     bac:select: A result is about to be selected. The handlers receive the
+ *     result object. Call preventDefault() to cancel the selection. It is
+ *     not triggered if there is nothing to select, e.g. when a select key is
+ *     pressed while no result is highlighted.
+ *   </li><li>
+ *     bac:highlight: A result has been highlighted. The handlers receive the
+ *     result object and the trigger, see {@link callbacks.highlight}.
+ *   </li><li>
+ *     bac:show, bac:hide: The suggestion list has been shown or hidden. The
+ *     handlers receive the list element, wrapped in jQuery.
+ *   </li><li>
+ *     bac:fetchstart, bac:fetchend: Fetching remote results has begun, or
+ *     there are no more pending remote calls.
+ *   </li><li>
+ *     bac:error: A remote call has failed. The handlers receive the query,
+ *     and the source's name if options.sources is set.
+ *   </li><li>
+ *     bac:invalid: In strict mode, an altered label has been reverted or
+ *     cleared. The handlers receive the rejected text.
+ *   </li></ul>
  *
  * @returns {Object}
- *   The jQuery object with the same element selection, for chaining.
+ *   The jQuery object with the same element selection, for chaining. Getter
+ *   methods return their value instead.
  */
 
 (function($) {
@@ -119,8 +399,45 @@ $.fn.betterAutocomplete = function(method) {
     },
     destroy: function(bac) {
       bac.destroy();
+    },
+    clearCache: function(bac) {
+      bac.clearCache();
+    },
+    updateIndex: function(bac, resource) {
+      bac.updateIndex(resource);
+    },
+    selected: function(bac, results) {
+      if (results === undefined) {
+        return bac.getSelected();
+      }
+      bac.setSelected(results);
+    },
+    search: function(bac, query) {
+      bac.search(query);
+    },
+    open: function(bac) {
+      bac.open();
+    },
+    close: function(bac) {
+      bac.close();
+    },
+    setResource: function(bac, resource) {
+      bac.setResource(resource);
+    },
+    setOptions: function(bac, options) {
+      bac.setOptions(options);
+    },
+    getHighlighted: function(bac) {
+      return bac.getHighlighted();
+    },
+    highlight: function(bac, index) {
+      bac.highlight(index);
+    },
+    select: function(bac, index) {
+      bac.select(index);
     }
-  }, args = Array.prototype.slice.call(arguments, 1);
+  }, args = Array.prototype.slice.call(arguments, 1),
+    returnValue = this;
 
   // Method calling logic
   this.each(function() {
@@ -131,9 +448,25 @@ $.fn.betterAutocomplete = function(method) {
     case 'enable':
     case 'disable':
     case 'destroy':
-      var bac = $(this).data('better-autocomplete');
+    case 'clearCache':
+    case 'updateIndex':
+    case 'selected':
+    case 'search':
+    case 'open':
+    case 'close':
+    case 'setResource':
+    case 'setOptions':
+    case 'getHighlighted':
+    case 'highlight':
+    case 'select':
+      var bac = $(this).data('better-autocomplete'), value;
       if (bac instanceof BetterAutocomplete) {
-        methods[method].call(this, bac);
+        value = methods[method].apply(this, [bac].concat(args));
+      }
+      // Getters only return the value of the first instance
+      if (value !== undefined) {
+        returnValue = value;
+        return false;
       }
       break;
     default:
@@ -142,8 +475,8 @@ $.fn.betterAutocomplete = function(method) {
     }
   });
 
-  // Maintain chainability
-  return this;
+  // Maintain chainability, unless a getter was called
+  return returnValue;
 };
 
 /**
@@ -158,33 +491,160 @@ $.fn.betterAutocomplete = function(method) {
  */
 var BetterAutocomplete = function($input, resource, options, callbacks) {
 
-  var lastRenderedQuery = '',
-    cache = {}, // Key-valued caching of search results
-    cacheOrder = [], // Array of query strings, in the order they are added
-    cacheSize = 0, // Keep count of the cache's size
+  var id = 'better-autocomplete-' + (++instanceCount), // Unique DOM id prefix
+    lastRenderedQuery = '',
+    resultCache, // ResultCache of search results and pagination states
     timer, // Used for options.delay
-    activeRemoteCalls = [], // A flat array of query strings that are pending
+    activeRemoteCalls = [], // Abort controllers of the pending remote calls
+    isFunction, // If the resource is a function, see applyOptions()
     disableMouseHighlight = false, // Suppress the autotriggered mouseover event
     inputEvents = {},
-    isLocal = ($.type(resource) != 'string'),
-    $results = $('<ul />').addClass('better-autocomplete'),
+    isLocal, // If the resource is local, see applyOptions()
+    $results = $('<ul />').addClass('better-autocomplete')
+      .attr({ id: id, role: 'listbox' }),
+    // Screen reader announcements of the result count
+    $liveRegion = $('<div />').addClass('better-autocomplete-live')
+      .attr({ role: 'status', 'aria-live': 'polite' }),
     hiddenResults = true, // $results are hidden
-    preventBlurTimer = null; // IE bug workaround, see below in code.
-
-  options = $.extend({
-    charLimit: isLocal ? 1 : 3,
-    delay: 350, // milliseconds
-    caseSensitive: false,
-    cacheLimit: isLocal ? 0 : 256, // Number of result objects
-    remoteTimeout: 10000, // milliseconds
-    crossOrigin: false,
-    selectKeys: [9, 13], // [tab, enter]
-    autoHighlight: true // Automatically highlight the topmost result
-  }, options);
+    selectedResults = [], // Result objects rendered as chips
+    $chips = $('<span />').addClass('better-autocomplete-chips'),
+    strictResult = null, // The selected result object in strict mode
+    strictLabel = null, // The input's value when strictResult was selected
+    $strictValue = $('<input type="hidden" />'), // Its value, in strict mode
+    inputName = $input.attr('name'), // The input's name before strict mode
+    localIndex = null, // SearchIndex of a local resource
+    exactOptions = null, // The options without typo tolerance, see matcher()
+    rows = [], // The rendered rows: group headings and results, in order
+    resultRows = [], // The result rows only, in order
+    highlightedIndex = -1, // Index of the highlighted result row
+    rowHeights = null, // Measured row heights, in virtual scroll mode
+    preventBlurTimer = null, // IE bug workaround, see below in code.
+    userOptions = $.extend({}, options), // As given, without the defaults
+    dismissedQuery = null, // The query of which the list has been closed
+    failedQuery = null, // The query of which the last remote call failed
+    completion = null, // The typed text and the inline completed value
+    deleting = false, // The last key pressed was backspace or delete
+    capturedKey = null, // The key code of the last key handled by keydown
+    keyNavigation = false, // The results have been navigated by keyboard
+    typedText = null, // The input's value before navigating by keyboard
+    federated = null, // The results of sources which are being fetched
+    highlightTrigger = null, // What triggered the current highlight
+    requestParams = {}, // Extra parameters of remote calls, see updateParams()
+    paramsKey = '', // The same parameters URL encoded, part of cache keys
+    // If the input is a contenteditable element, for mention mode
+    isEditable = $input.is('[contenteditable]') &&
+                 $input.attr('contenteditable') != 'false';
+
+  /**
+   * Apply the user's options on top of the defaults, some of which depend on
+   * the type of resource, and set up the cache and the search index.
+   */
+  var applyOptions = function() {
+    // Sources are treated like remote resources
+    isFunction = !userOptions.sources && $.isFunction(resource);
+    isLocal = !userOptions.sources && !isFunction &&
+              $.type(resource) != 'string';
+    options = $.extend({
+      charLimit: isLocal ? 1 : 3,
+      delay: 350, // milliseconds
+      caseSensitive: false,
+      normalize: false,
+      locale: null,
+      cacheLimit: isLocal ? 0 : 256, // Number of result objects
+      cache: 'instance',
+      cacheTTL: 0, // milliseconds
+      cacheNamespace: isLocal || isFunction || userOptions.sources ? id :
+                      resource,
+      filterCached: false,
+      remoteTimeout: 10000, // milliseconds
+      retries: 0,
+      retryDelay: 1000, // milliseconds
+      crossOrigin: false,
+      method: 'GET',
+      encoding: 'form',
+      headers: {},
+      params: null,
+      limit: null,
+      dataType: 'json',
+      selectKeys: [9, 13], // [tab, enter]
+      wrap: false,
+      autoHighlight: true, // Automatically highlight the topmost result
+      inlineComplete: false,
+      multiple: false,
+      triggers: null,
+      separators: [','],
+      excludeSelected: false,
+      chips: false,
+      chipsName: null,
+      chipsDelimiter: null,
+      valueField: 'value',
+      strict: false,
+      strictName: null,
+      strictBlur: 'revert',
+      matcher: 'substring',
+      typoTolerance: 0,
+      highlightMatches: false,
+      allowHtml: false,
+      appendTo: null,
+      maxHeight: 330, // pixels
+      flip: true,
+      virtualScroll: false,
+      statusRows: false,
+      searchIndex: false,
+      sources: null
+    }, userOptions);
+
+    // Without a URL, the default namespace is the instance id, which other
+    // pages reuse. Such results are not shared, let alone persisted.
+    resultCache = new ResultCache(isLocal || (isFunction || options.sources) &&
+                                  !userOptions.cacheNamespace ?
+                                  'instance' : options.cache,
+                                  options.cacheNamespace);
+    localIndex = isLocal && options.searchIndex ?
+                 new SearchIndex(resource, fold) : null;
+    exactOptions = $.extend({}, options, { typoTolerance: 0 });
+    if (options.chips) {
+      $chips.insertBefore($input);
+    }
+    else {
+      $chips.detach();
+    }
+    if (options.strict) {
+      $strictValue.attr('name', options.strictName || inputName || null)
+        .insertAfter($input);
+    }
+    else {
+      $strictValue.detach();
+    }
+    // In strict mode the input's own name moves to the hidden input
+    if (options.strict && !options.strictName) {
+      $input.removeAttr('name');
+    }
+    else if (inputName !== undefined) {
+      $input.attr('name', inputName);
+    }
+  };
 
   callbacks = $.extend({}, defaultCallbacks, callbacks);
 
-  callbacks.insertSuggestionList($results, $input);
+  /**
+   * Fold a text for comparison, according to options.caseSensitive,
+   * options.normalize and options.locale.
+   *
+   * @param {String} text
+   *   The text to fold.
+   *
+   * @returns {String}
+   *   The folded text.
+   */
+  var fold = function(text) {
+    return foldText(text, options);
+  };
+
+  applyOptions();
+
+  callbacks.insertSuggestionList($results, $input, options.appendTo);
+  $liveRegion.insertAfter($results);
 
   inputEvents.focus = function() {
     // If the blur timer is active, a redraw is redundant.
@@ -200,31 +660,98 @@ var BetterAutocomplete = function($input, resource, options, callbacks) {
     else {
       // The input has already lost focus, so redraw the suggestion list.
       redraw();
+      if (options.strict) {
+        enforceStrict();
+      }
     }
   };
 
   inputEvents.keydown = function(event) {
-    var index = getHighlightedIndex();
-    // If an arrow key is pressed and a result is highlighted
-    if ($.inArray(event.keyCode, [38, 40]) >= 0 && $results.children().length > 0) {
+    var index = getHighlightedIndex(),
+      // Keys are only captured while the list is shown, so that they do not
+      // act on results which the user can not see
+      capture = !hiddenResults;
+    capturedKey = null;
+    deleting = event.keyCode == 8 || event.keyCode == 46;
+    // Escape closes the list and restores the typed text
+    if (event.keyCode == 27 && !hiddenResults) {
+      capturedKey = event.keyCode;
+      close(true);
+      return false;
+    }
+    if (isCompleting()) {
+      // Backspace or delete removes the inline completion only
+      if (deleting) {
+        $input.val(completion.typed);
+        completion = null;
+        return false;
+      }
+      // Right arrow or tab accepts the inline completion
+      if (event.keyCode == 39 || event.keyCode == 9) {
+        completion = null;
+        setSelection($input[0], $input.val().length);
+        if (event.keyCode == 39) {
+          return false;
+        }
+      }
+    }
+    // Backspace in an empty input removes the last chip
+    if (event.keyCode == 8 && options.chips && selectedResults.length &&
+        $input.val() === '') {
+      removeChip(selectedResults.length - 1);
+      return false;
+    }
+    // Down arrow reopens a closed list, outside of mention mode where it
+    // moves the caret
+    if (event.keyCode == 40 && hiddenResults && dismissedQuery !== null &&
+        !options.triggers) {
+      capturedKey = event.keyCode;
+      dismissedQuery = null;
+      redraw();
+      return false;
+    }
+    // If a navigation key is pressed and there are results. Home and end
+    // move the caret, unless the results are already navigated by keyboard.
+    if (($.inArray(event.keyCode, [33, 34, 38, 40]) >= 0 ||
+         ($.inArray(event.keyCode, [35, 36]) >= 0 && keyNavigation)) &&
+        resultRows.length > 0 && capture) {
       var newIndex,
-        size = $('.result', $results).length;
+        last = resultRows.length - 1;
       switch (event.keyCode) {
       case 38: // Up arrow
-        newIndex = Math.max(0, index - 1);
+        newIndex = index <= 0 && options.wrap ? last : Math.max(0, index - 1);
         break;
       case 40: // Down arrow
-        newIndex = Math.min(size - 1, index + 1);
+        newIndex = Math.min(last, index + 1);
+        // Arrowing past the last result loads more results, or wraps
+        if (index == last && !loadMore() && options.wrap) {
+          newIndex = 0;
+        }
+        break;
+      case 33: // Page up
+        newIndex = Math.max(0, index - getPageSize());
+        break;
+      case 34: // Page down
+        newIndex = Math.min(last, index + getPageSize());
+        break;
+      case 36: // Home
+        newIndex = 0;
+        break;
+      case 35: // End
+        newIndex = last;
         break;
       }
+      capturedKey = event.keyCode;
+      keyNavigation = true;
       disableMouseHighlight = true;
       setHighlighted(newIndex, 'key', true);
       return false;
     }
-    // A select key has been pressed
+    // A select key has been pressed and there are results, not just a
+    // message row such as "No results"
     else if ($.inArray(event.keyCode, options.selectKeys) >= 0 &&
              !event.shiftKey && !event.ctrlKey && !event.altKey &&
-             !event.metaKey) {
+             !event.metaKey && resultRows.length > 0 && capture) {
       select();
       return event.keyCode == 9; // Never cancel tab
     }
@@ -238,7 +765,7 @@ var BetterAutocomplete = function($input, resource, options, callbacks) {
       if (disableMouseHighlight) {
         return;
       }
-      setHighlighted($('.result', $results).index($(this)), 'mouse');
+      setHighlighted($(this).data('index'), 'mouse');
     },
     mousemove: function() {
       // Enable mouseover again.
@@ -263,6 +790,24 @@ var BetterAutocomplete = function($input, resource, options, callbacks) {
     return false;
   });
 
+  $chips.delegate('.remove', 'click', function() {
+    removeChip($chips.children('.chip').index($(this).parent()));
+    $input.focus();
+    return false;
+  });
+
+  $results.scroll(function() {
+    // Render the rows which have been scrolled into view
+    if (options.virtualScroll) {
+      drawRows();
+    }
+    // Load more results when scrolled to the bottom
+    if ($results.scrollTop() + $results.innerHeight() >=
+        $results[0].scrollHeight - 20) {
+      loadMore();
+    }
+  });
+
   // If auto highlight is off, remove highlighting
   $results.mouseleave(function() {
     if (!options.autoHighlight) {
@@ -281,7 +826,12 @@ var BetterAutocomplete = function($input, resource, options, callbacks) {
     // Turn off the browser's autocompletion
     $input
       .attr('autocomplete', 'OFF')
-      .attr('aria-autocomplete', 'list');
+      .attr({
+        role: 'combobox',
+        'aria-autocomplete': 'list',
+        'aria-controls': id,
+        'aria-expanded': hiddenResults ? 'false' : 'true'
+      });
     $input.bind(inputEvents);
   };
 
@@ -290,9 +840,13 @@ var BetterAutocomplete = function($input, resource, options, callbacks) {
    */
   this.disable = function() {
     $input
-      .removeAttr('autocomplete')
-      .removeAttr('aria-autocomplete');
+      .removeAttr('autocomplete');
+    removeAriaAttributes();
+    clearTimeout(timer);
+    abortRemoteCalls();
     $results.hide();
+    hiddenResults = true;
+    bindPositioning(false);
     $input.unbind(inputEvents);
   };
 
@@ -301,293 +855,2841 @@ var BetterAutocomplete = function($input, resource, options, callbacks) {
    */
   this.destroy = function() {
     $results.remove();
+    bindPositioning(false);
+    $liveRegion.remove();
+    $chips.remove();
+    $strictValue.remove();
+    if (inputName !== undefined) {
+      $input.attr('name', inputName);
+    }
+    removeAriaAttributes();
+    clearTimeout(timer);
+    abortRemoteCalls();
     $input.unbind(inputEvents);
     $input.removeData('better-autocomplete');
   };
 
-  /*
-   * PRIVATE METHODS
+  /**
+   * Invalidate the cached results, e.g. when the underlying data has changed.
    */
+  this.clearCache = function() {
+    clearCache();
+    lastRenderedQuery = null;
+    reprocess();
+  };
 
   /**
-   * Add an array of results to the cache. Internal methods always reads from
-   * the cache, so this method must be invoked even when caching is not used,
-   * e.g. when using local results. This method automatically clears as much of
-   * the cache as required to fit within the cache limit.
-   *
-   * @param {String} query
-   *   The query to set the results to.
+   * Rebuild the search index and clear the cache, since the results of the
+   * local resource may have changed.
    *
-   * @param {Array[Object]} results
-   *   The array of results for this query.
+   * @param {Object} [newResource]
+   *   A new local resource. If omitted, the current one has been altered.
    */
-  var cacheResults = function(query, results) {
-    cacheSize += results.length;
-    // Now reduce size until it fits
-    while (cacheSize > options.cacheLimit && cacheOrder.length) {
-      var key = cacheOrder.shift();
-      cacheSize -= cache[key].length;
-      delete cache[key];
+  this.updateIndex = function(newResource) {
+    if (!isLocal) {
+      return;
     }
-    cacheOrder.push(query);
-    cache[query] = results;
+    if (newResource !== undefined) {
+      resource = newResource;
+    }
+    if (options.searchIndex) {
+      localIndex = new SearchIndex(resource, fold);
+    }
+    clearCache();
+    lastRenderedQuery = null;
+    reprocess();
   };
 
   /**
-   * Set highlight to a specific result item
+   * Retrieve the selected result objects, which are rendered as chips, or
+   * the selected result in strict mode.
    *
-   * @param {Number} index
-   *   The result item's index, or negative if highlight should be removed.
-   *
-   * @param {String} [trigger]
-   *   What triggered the highlight: "mouse", "key" or "auto". If index is
-   *   negative trigger may be omitted.
-   *
-   * @param {Boolean} [autoScroll]
-   *   (default=false) If scrolling of the results list should be automated.
+   * @returns {Array[Object]}
+   *   A copy of the array of selected result objects.
    */
-  var setHighlighted = function(index, trigger, autoScroll) {
-    //console.log('Index: '+index)
-    var prevIndex = getHighlightedIndex(),
-      $resultList = $('.result', $results);
-    //console.log('prevIndex: '+prevIndex)
-    $resultList.removeClass('highlight');
-
-    if (index < 0) {
-      return
+  this.getSelected = function() {
+    if (options.strict) {
+      return strictResult ? [strictResult] : [];
     }
-    $resultList.eq(index).addClass('highlight')
-
-    if (prevIndex != index) {
-      var result = getResultByIndex(index);
-      callbacks.highlight(result, $input, trigger);
-    }
-
-    // Scrolling
-    var up = index == 0 || index < prevIndex,
-      $scrollTo = $resultList.eq(index);
+    return selectedResults.slice();
+  };
 
-    if (!autoScroll) {
+  /**
+   * Replace the selected result objects, which are rendered as chips. In
+   * strict mode the first one is selected as if the user had chosen it.
+   * Ignored unless options.chips or options.strict is set.
+   *
+   * @param {Array[Object]} results
+   *   The new array of selected result objects.
+   */
+  this.setSelected = function(results) {
+    // Without chips or strict mode, there is nothing to render them as
+    if (!options.chips && !options.strict) {
       return;
     }
-    // Scrolling up, then make sure to show the group title
-    if ($scrollTo.prev().is('.group') && up) {
-      $scrollTo = $scrollTo.prev();
-    }
-    // Is $scrollTo partly above the visible region?
-    if ($scrollTo.position().top < 0) {
-      $results.scrollTop($scrollTo.position().top + $results.scrollTop());
+    selectedResults = $.grep($.makeArray(results), function(result) {
+      return $.type(result) == 'object';
+    });
+    if (options.strict) {
+      $input.val('');
+      strictResult = null;
+      if (selectedResults.length) {
+        callbacks.select(selectedResults[0], $input, replaceQuery);
+        setStrictResult(selectedResults[0]);
+      }
+      selectedResults = [];
+      updateStrictValue();
     }
-    // Or is it partly below the visible region?
-    else if (($scrollTo.position().top + $scrollTo.outerHeight()) >
-              $results.height()) {
-      $results.scrollTop($scrollTo.position().top + $results.scrollTop() +
-          $scrollTo.outerHeight() - $results.height());
+    renderChips();
+    lastRenderedQuery = null;
+    redraw();
+  };
+
+  /**
+   * Search for a query, as if the user had typed it, without waiting for
+   * options.delay.
+   *
+   * @param {String} [query]
+   *   The new value of the input. If omitted, the current value is searched.
+   */
+  this.search = function(query) {
+    if (query !== undefined) {
+      $input.val(query);
     }
+    dismissedQuery = null;
+    $input.focus();
+    reprocess(null, true);
   };
 
   /**
-   * Retrieve the index of the currently highlighted result item
+   * Open the suggestion list for the current value of the input, e.g. from
+   * a dropdown button.
+   */
+  this.open = function() {
+    dismissedQuery = null;
+    $input.focus();
+    reprocess(null, true);
+    redraw(true);
+  };
+
+  /**
+   * Close the suggestion list. It stays closed until the query is altered or
+   * the list is opened again.
+   */
+  this.close = function() {
+    close();
+  };
+
+  /**
+   * Replace the resource, e.g. when the value of another field determines
+   * which results are relevant. Pending calls are aborted and the results
+   * are fetched again.
    *
-   * @returns {Number}
-   *   The result's index or -1 if no result is highlighted.
+   * @param {String|Function|Object} newResource
+   *   The new resource, see {@link jQuery.betterAutocomplete}.
    */
-  var getHighlightedIndex = function() {
-    var res = $('.result.highlight', $results)
-    ind= $('.result', $results).index(res);
-    return ind
+  this.setResource = function(newResource) {
+    resource = newResource;
+    reset();
   };
 
   /**
-   * Retrieve the result object with the specific position in the results list
+   * Alter the options. The defaults of the options which have not been set
+   * explicitly are reapplied.
    *
-   * @param {Number} index
-   *   The index of the item in the current result list.
+   * @param {Object} newOptions
+   *   The options to alter, see {@link jQuery.betterAutocomplete}.
+   */
+  this.setOptions = function(newOptions) {
+    $.extend(userOptions, newOptions);
+    reset();
+  };
+
+  /**
+   * Retrieve the highlighted result object.
    *
    * @returns {Object}
-   *   The result object or null if index out of bounds.
+   *   The result object, or null if no result is highlighted.
    */
-  var getResultByIndex = function(index) {
-    var $result = $('.result', $results).eq(index);
-    if (!$result.length) {
-      return; // No selectable element
-    }
-    return $result.data('result');
+  this.getHighlighted = function() {
+    var result = getResultByIndex(getHighlightedIndex());
+    return result === undefined ? null : result;
   };
 
   /**
-   * Select the current highlighted element, if any.
+   * Highlight a result.
+   *
+   * @param {Number} index
+   *   The result's index, or negative if highlight should be removed.
    */
-  var select = function() {
-    var highlighted = getHighlightedIndex(),
-      result = getResultByIndex(highlighted);
-    callbacks.select(result, $input);
-    // Redraw again, if the callback changed focus or content
-    reprocess();
+  this.highlight = function(index) {
+    setHighlighted(index, 'api', true);
   };
 
   /**
-   * Fetch results asynchronously via AJAX.
-   * Errors are ignored.
+   * Select a result, as if the user had chosen it.
    *
-   * @param {String} query
-   *   The query string.
+   * @param {Number} [index]
+   *   The result's index. If omitted, the highlighted result is selected.
+   *   Nothing is selected if there is no such result.
    */
-  var fetchResults = function(query) {
-    // Synchronously fetch local data
-    if (isLocal) {
-      cacheResults(query, callbacks.queryLocalResults(query, resource,
-                                                      options.caseSensitive));
-      redraw();
-    }
-    // Asynchronously fetch remote data
-    else {
-      activeRemoteCalls.push(query);
-      var url = callbacks.constructURL(resource, query);
-      callbacks.beginFetching($input);
-      callbacks.fetchRemoteData(url, function(data) {
-        var searchResults = callbacks.processRemoteData(data);
-        if (!$.isArray(searchResults)) {
-          searchResults = [];
-        }
-        cacheResults(query, searchResults);
-        // Remove the query from active remote calls, since it's finished
-        activeRemoteCalls = $.grep(activeRemoteCalls, function(value) {
-          return value != query;
-        });
-        if (!activeRemoteCalls.length) {
-          callbacks.finishFetching($input);
-        }
-        redraw();
-      }, options.remoteTimeout, options.crossOrigin);
+  this.select = function(index) {
+    if (index !== undefined) {
+      if (getResultByIndex(index) === undefined) {
+        return;
+      }
+      setHighlighted(index, 'api');
     }
+    select();
   };
 
+  /*
+   * PRIVATE METHODS
+   */
+
   /**
-   * Reprocess the contents of the input field, fetch data and redraw if
-   * necessary.
+   * Trigger a namespaced event on the input, e.g. "bac:select".
    *
-   * @param {Object} [event]
-   *   The event that triggered the reprocessing. Not always present.
+   * @param {String} type
+   *   The event type without namespace, e.g. "select".
+   *
+   * @param {Array} [data]
+   *   Extra parameters for the event handlers.
+   *
+   * @returns {Object}
+   *   The jQuery event object, e.g. to check if the default was prevented.
    */
-  function reprocess(event) {
-    // If this call was triggered by an arrow key, cancel the reprocessing.
-    if ($.type(event) == 'object' && event.type == 'keyup' &&
-        $.inArray(event.keyCode, [38, 40]) >= 0) {
-      return;
-    }
-    var query = callbacks.canonicalQuery($input.val(), options.caseSensitive);
+  var triggerEvent = function(type, data) {
+    var event = $.Event('bac:' + type);
+    $input.trigger(event, data);
+    return event;
+  };
+
+  /**
+   * Reapply the options and the resource, then search again from scratch.
+   */
+  var reset = function() {
     clearTimeout(timer);
-    // Indicate that timer is inactive
     timer = null;
-    redraw();
-    if (query.length >= options.charLimit && !$.isArray(cache[query]) &&
-        $.inArray(query, activeRemoteCalls) == -1) {
-      // Fetching is required
-      $results.empty();
-      if (isLocal) {
-        fetchResults(query);
-      }
-      else {
-        timer = setTimeout(function() {
-          fetchResults(query);
-          timer = null;
-        }, options.delay);
-      }
+    abortRemoteCalls();
+    applyOptions();
+    failedQuery = null;
+    lastRenderedQuery = null;
+    clearRows();
+    reprocess();
+  };
+
+  /**
+   * Match a query against a text using the matcher from options.matcher.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @param {String} text
+   *   The text to search in.
+   *
+   * @param {Boolean} [exact]
+   *   True if typos are not allowed, regardless of options.typoTolerance.
+   *
+   * @returns {Object}
+   *   The match object with score and ranges, or null if no match.
+   */
+  var matcher = function(query, text, exact) {
+    var match = $.isFunction(options.matcher) ? options.matcher :
+                (matchers[options.matcher] || matchers.substring);
+    return match(query, text, exact ? exactOptions : options) || null;
+  };
+
+  /**
+   * Match a query against a text without allowing typos.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @param {String} text
+   *   The text to search in.
+   *
+   * @returns {Object}
+   *   The match object with score and ranges, or null if no match.
+   */
+  var exactMatcher = function(query, text) {
+    return matcher(query, text, true);
+  };
+
+  /**
+   * Query a local array of results. Matching with typos is much slower than
+   * exact matching, so typo matches are only searched for if too few
+   * results match exactly, see options.typoTolerance.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @param {Array} localResource
+   *   The local array of strings or result objects.
+   *
+   * @param {Object} [index]
+   *   The SearchIndex of the array, if any.
+   *
+   * @returns {Array[Object]}
+   *   The matching result objects.
+   */
+  var queryLocal = function(query, localResource, index) {
+    var search = function(match, typos) {
+        // Typo matching differs for queries up to twice the tolerance
+        return index ?
+               index.query(query, match,
+                           typos ? options.typoTolerance * 2 + 1 : 1, typos) :
+               callbacks.queryLocalResults(query, localResource,
+                                           options.caseSensitive, match, fold);
+      },
+      results = search(exactMatcher, false);
+    if (options.typoTolerance > 0 && results.length < typoThreshold) {
+      results = search(matcher, true);
+    }
+    return results;
+  };
+
+  /**
+   * Convert a result field to HTML. It is escaped unless options.allowHtml
+   * allows HTML in the field, in which case it is sanitized instead.
+   *
+   * @param {String} text
+   *   The field's text.
+   *
+   * @param {String} field
+   *   The name of the field, e.g. "title".
+   *
+   * @param {String} [query]
+   *   The canonical query, if matches should be highlighted.
+   *
+   * @returns {String}
+   *   HTML output.
+   */
+  var formatField = function(text, field, query) {
+    if (options.allowHtml === true ||
+        ($.isArray(options.allowHtml) &&
+         $.inArray(field, options.allowHtml) >= 0)) {
+      return callbacks.sanitizeHtml(text, field);
+    }
+    if (query !== undefined && options.highlightMatches) {
+      return highlightMatches(text, query);
+    }
+    return escapeHtml(text);
+  };
+
+  /**
+   * Wrap the parts of a text which match the query in mark tags.
+   *
+   * @param {String} text
+   *   The plain text, e.g. a result title.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @returns {String}
+   *   The HTML escaped text with the matches highlighted.
+   */
+  var highlightMatches = function(text, query) {
+    var folded = foldTextMapped(text, options),
+      match = query.length ? matcher(query, folded.text) : null,
+      output = [],
+      position = 0;
+    $.each(match ? match.ranges : [], function(i, range) {
+      if (range[1] <= range[0]) {
+        return; // Continue
+      }
+      // Translate the range of the folded text to the original text
+      var start = folded.map[range[0]],
+        end = folded.map[range[1] - 1] + 1;
+      if (start < position) {
+        return; // Continue
+      }
+      output.push(escapeHtml(text.substring(position, start)), '<mark>',
+                  escapeHtml(text.substring(start, end)), '</mark>');
+      position = end;
+    });
+    output.push(escapeHtml(text.substring(position)));
+    return output.join('');
+  };
+
+  /**
+   * Retrieve the value of a result, for form submission.
+   *
+   * @param {Object} result
+   *   The result object.
+   *
+   * @returns {String}
+   *   The value of options.valueField, or the title if it is missing.
+   */
+  var getResultValue = function(result) {
+    var value = result[options.valueField];
+    return value === undefined || value === null ? result.title : value;
+  };
+
+  /**
+   * Regenerate the chips and the hidden inputs from the selected results.
+   */
+  var renderChips = function() {
+    $chips.empty();
+    $.each(selectedResults, function(index, result) {
+      $('<span />').addClass('chip')
+        .append(callbacks.themeChip(result, formatField))
+        .append($('<button type="button" />').addClass('remove')
+          .attr('aria-label', 'Remove ' + result.title)
+          .text('\u00d7'))
+        .data('result', result)
+        .appendTo($chips);
+    });
+    if ($.type(options.chipsName) != 'string') {
+      return;
+    }
+    var values = $.map(selectedResults, getResultValue);
+    if ($.type(options.chipsDelimiter) == 'string') {
+      values = [values.join(options.chipsDelimiter)];
+    }
+    $.each(values, function(i, value) {
+      $('<input type="hidden" />')
+        .attr('name', options.chipsName +
+              ($.type(options.chipsDelimiter) == 'string' ? '' : '[]'))
+        .val(value)
+        .appendTo($chips);
+    });
+  };
+
+  /**
+   * Accept a selected result in strict mode. The input's current value,
+   * as set by the select callback, becomes its label.
+   *
+   * @param {Object} result
+   *   The selected result object.
+   */
+  var setStrictResult = function(result) {
+    strictResult = result;
+    strictLabel = $input.val();
+    $input.removeClass('invalid').removeAttr('aria-invalid');
+    updateStrictValue();
+  };
+
+  /**
+   * Keep the hidden input in sync with the input in strict mode. The value
+   * is only submitted while the input shows the label of the selected
+   * result.
+   */
+  var updateStrictValue = function() {
+    $strictValue.val(strictResult && $input.val() === strictLabel ?
+                     getResultValue(strictResult) : '');
+  };
+
+  /**
+   * Revert or clear an altered label in strict mode, according to
+   * options.strictBlur, and flag the input as invalid.
+   */
+  var enforceStrict = function() {
+    var text = $input.val();
+    if (strictResult && text === strictLabel) {
+      return;
+    }
+    if (text === '') {
+      strictResult = null;
+    }
+    else {
+      if (options.strictBlur == 'revert' && strictResult) {
+        $input.val(strictLabel);
+      }
+      else {
+        strictResult = null;
+        $input.val('');
+      }
+      $input.addClass('invalid').attr('aria-invalid', 'true');
+      triggerEvent('invalid', [text]);
+    }
+    lastRenderedQuery = null;
+    updateStrictValue();
+  };
+
+  /**
+   * Remove a chip and its selected result.
+   *
+   * @param {Number} index
+   *   The index of the chip.
+   */
+  var removeChip = function(index) {
+    if (index < 0) {
+      return;
+    }
+    selectedResults.splice(index, 1);
+    renderChips();
+    // Removed results may be suggested again
+    lastRenderedQuery = null;
+    redraw();
+  };
+
+  /**
+   * Determine which part of the input's value that makes up the query. In
+   * multiple mode that is the token under the caret, in mention mode the
+   * text between the trigger and the caret, otherwise the whole value.
+   *
+   * @returns {Object}
+   *   An object with the properties value (the input's value), raw (the raw
+   *   query) and start/end (the query's position within the value). In
+   *   mention mode the value is the text of the caret's text node in a
+   *   contenteditable element, and the property trigger holds the mention's
+   *   trigger character, or null if there is no mention at the caret.
+   */
+  var getQueryContext = function() {
+    var value = getTypedValue(),
+      start = 0,
+      end = value.length,
+      trigger;
+    if (options.triggers) {
+      // The word before the caret is a mention if it starts with a trigger
+      end = getCaretPosition($input[0]);
+      start = end;
+      while (start > 0 && !/\s/.test(value.charAt(start - 1))) {
+        start--;
+      }
+      trigger = null;
+      $.each(options.triggers, function(i, character) {
+        if (value.substring(start, end).indexOf(character) === 0) {
+          trigger = character;
+          return false; // Break
+        }
+      });
+      start = trigger === null ? end : start + trigger.length;
+    }
+    else if (options.multiple) {
+      var caret = getCaretPosition($input[0]);
+      $.each(options.separators, function(i, separator) {
+        var before = value.lastIndexOf(separator, caret - 1),
+          after = value.indexOf(separator, caret);
+        if (before >= start) {
+          start = before + separator.length;
+        }
+        if (after >= 0 && after < end) {
+          end = after;
+        }
+      });
+    }
+    return {
+      value: value,
+      raw: value.substring(start, end),
+      start: start,
+      end: end,
+      trigger: trigger
+    };
+  };
+
+  /**
+   * Check if there is a query to search for. In mention mode that requires
+   * the caret to be within a mention.
+   *
+   * @returns {Boolean}
+   *   False if the caret is outside of a mention in mention mode.
+   */
+  var isQueryActive = function() {
+    return !options.triggers || getQueryContext().trigger !== null;
+  };
+
+  /**
+   * Retrieve the input's value without the inline completion, if any.
+   *
+   * @returns {String}
+   *   The value as typed by the user.
+   */
+  var getTypedValue = function() {
+    var caret = isEditable && getEditableCaret($input[0]),
+      value = isEditable ? (caret ? caret.node.data : '') : $input.val();
+    return completion && value === completion.value ? completion.typed :
+           value;
+  };
+
+  /**
+   * Check if the inline completion is shown as selected text after the
+   * caret, i.e. it has not been accepted or altered.
+   *
+   * @returns {Boolean}
+   *   True if the inline completion is pending.
+   */
+  var isCompleting = function() {
+    return !!completion && $input.val() === completion.value &&
+      getCaretPosition($input[0]) == completion.typed.length;
+  };
+
+  /**
+   * Complete the input inline with the rest of a result's title, if
+   * options.inlineComplete is set and the title starts with the typed text.
+   * Otherwise a pending inline completion is removed.
+   *
+   * @param {Object} result
+   *   The highlighted result object.
+   */
+  var updateCompletion = function(result) {
+    var typed = getTypedValue(),
+      title = result && result.title;
+    if (completion && !isCompleting()) {
+      completion = null; // Accepted or altered
+    }
+    if (options.inlineComplete && !options.multiple && !deleting &&
+        typed.length && $.type(title) == 'string' &&
+        title.length > typed.length && $input.is(':focus') &&
+        getCaretPosition($input[0]) == typed.length &&
+        fold(title.substring(0, typed.length)) === fold(typed)) {
+      completion = {
+        typed: typed,
+        value: typed + title.substring(typed.length)
+      };
+      $input.val(completion.value);
+      setSelection($input[0], typed.length, completion.value.length);
+    }
+    else if (completion) {
+      $input.val(typed);
+      completion = null;
+    }
+  };
+
+  /**
+   * Retrieve the canonical query of the current input.
+   *
+   * @returns {String}
+   *   The canonical query.
+   */
+  var getQuery = function() {
+    return callbacks.canonicalQuery(getQueryContext().raw,
+                                    options.caseSensitive, fold);
+  };
+
+  /**
+   * Replace the query part of the input's value with some text. In multiple
+   * mode a separator is appended if the token is the last one, and the caret
+   * is placed after the inserted value. In mention mode the text between the
+   * trigger and the caret is replaced, followed by a space.
+   *
+   * @param {String} text
+   *   The replacement, typically the title of a result.
+   */
+  var replaceQuery = function(text) {
+    if (options.triggers) {
+      var mention = getQueryContext(),
+        rest = mention.value.substring(mention.end);
+      if (mention.trigger === null) {
+        return;
+      }
+      text += /^\s/.test(rest) ? '' : ' ';
+      if (isEditable) {
+        getEditableCaret($input[0]).node.data =
+          mention.value.substring(0, mention.start) + text + rest;
+      }
+      else {
+        $input.val(mention.value.substring(0, mention.start) + text + rest);
+      }
+      setSelection($input[0], mention.start + text.length);
+      return;
+    }
+    if (!options.multiple) {
+      $input.val(text);
+      return;
+    }
+    var context = getQueryContext(),
+      before = context.value.substring(0, context.start) +
+               context.raw.match(/^\s*/)[0] + text,
+      after = context.value.substring(context.end),
+      separator = options.separators[0];
+    if (!after.length) {
+      before += separator + (/\s/.test(separator) ? '' : ' ');
+    }
+    $input.val(before + after);
+    setSelection($input[0], before.length);
+  };
+
+  /**
+   * Remove results which have already been chosen, if the option is set.
+   *
+   * @param {Array[Object]} results
+   *   An array of result objects.
+   *
+   * @returns {Array[Object]}
+   *   The results which have not been chosen.
+   */
+  var excludeSelected = function(results) {
+    if (!options.excludeSelected) {
+      return results;
+    }
+    if (options.chips) {
+      var values = $.map(selectedResults, getResultValue);
+      return $.grep(results, function(result) {
+        return $.inArray(getResultValue(result), values) < 0;
+      });
+    }
+    if (!options.multiple) {
+      return results;
+    }
+    var context = getQueryContext(),
+      chosen = [],
+      // All tokens except the one under the caret
+      others = context.value.substring(0, context.start) +
+               options.separators[0] + context.value.substring(context.end),
+      pattern = $.map(options.separators, function(separator) {
+        return separator.replace(/[\\^$.*+?()[\]{}|-]/g, '\\$&');
+      }).join('|');
+    $.each(others.split(new RegExp(pattern)), function(i, token) {
+      var query = callbacks.canonicalQuery(token, options.caseSensitive, fold);
+      if (query.length) {
+        chosen.push(query);
+      }
+    });
+    return $.grep(results, function(result) {
+      return $.type(result.title) != 'string' ||
+        $.inArray(callbacks.canonicalQuery(result.title, options.caseSensitive,
+                                           fold), chosen) < 0;
+    });
+  };
+
+  /**
+   * Remove the WAI-ARIA attributes which were set by {@link enable}.
+   */
+  var removeAriaAttributes = function() {
+    $.each(['role', 'aria-autocomplete', 'aria-controls', 'aria-expanded',
+        'aria-activedescendant'], function(i, name) {
+      $input.removeAttr(name);
+    });
+  };
+
+  /**
+   * Tell assistive technology how many results that are available, through
+   * the polite live region.
+   *
+   * @param {Number|String} [count]
+   *   The number of results, a plain text message to announce instead, or
+   *   undefined to clear the announcement.
+   */
+  var announce = function(count) {
+    var message = $.type(count) == 'number' ?
+                  callbacks.themeResultCount(count) :
+                  $.type(count) == 'string' ? count : '';
+    if ($liveRegion.text() !== message) {
+      $liveRegion.text(message);
+    }
+  };
+
+  /**
+   * Add an array of results to the cache. Internal methods always reads from
+   * the cache, so this method must be invoked even when caching is not used,
+   * e.g. when using local results. This method automatically clears as much of
+   * the cache as required to fit within the cache limit.
+   *
+   * @param {String} query
+   *   The query to set the results to.
+   *
+   * @param {Array[Object]} results
+   *   The array of results for this query. Replaces any cached results.
+   *
+   * @param {Object} [page]
+   *   The pagination state, if more results can be loaded for this query.
+   *   It is cached together with the results.
+   *
+   * @param {Boolean} [complete]
+   *   (default=false) True if the results are all the results there are for
+   *   this query, see options.filterCached.
+   */
+  var cacheResults = function(query, results, page, complete) {
+    resultCache.set(cacheKey(query), {
+      results: results,
+      page: page && page.more ? page : null,
+      complete: !!complete
+    }, options.cacheLimit, options.cacheTTL);
+  };
+
+  /**
+   * Compose the cache key of a query. Results fetched with extra parameters
+   * are cached apart from those fetched with other parameters.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @returns {String}
+   *   The cache key.
+   */
+  var cacheKey = function(query) {
+    // Queries never contain line breaks
+    return paramsKey ? query + '\n' + paramsKey : query;
+  };
+
+  /**
+   * Read the extra parameters of remote calls, see options.params and
+   * options.limit. If they have changed, pending calls are aborted, since
+   * their results would be cached under the new parameters.
+   *
+   * @param {String} query
+   *   The query string.
+   */
+  var updateParams = function(query) {
+    // Local resources are queried without parameters
+    if (isLocal) {
+      requestParams = {};
+      paramsKey = '';
+      return;
+    }
+    var params = options.params;
+    if ($.isFunction(params)) {
+      params = params(query, $input);
+    }
+    // A selector or jQuery object of form fields
+    else if (params && !$.isPlainObject(params)) {
+      var fields = {};
+      $.each($(params).serializeArray(), function(i, field) {
+        fields[field.name] = field.value;
+      });
+      params = fields;
+    }
+    params = $.extend({}, params);
+    if (options.limit) {
+      params.limit = options.limit;
+    }
+    var key = $.param(params);
+    if (key !== paramsKey) {
+      abortRemoteCalls();
+      federated = null;
+      failedQuery = null;
+    }
+    requestParams = params;
+    paramsKey = key;
+  };
+
+  /**
+   * Answer a query by filtering the cached results of its longest prefix
+   * whose results are complete, if options.filterCached is set.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @returns {Boolean}
+   *   True if the query has been answered and cached.
+   */
+  var filterCachedPrefix = function(query) {
+    if (!options.filterCached || isLocal) {
+      return false;
+    }
+    for (var length = query.length - 1;
+         length >= Math.max(options.charLimit, 1); length--) {
+      var entry = resultCache.get(cacheKey(query.substring(0, length)));
+      // Incomplete results may lack matches, but a shorter prefix may still
+      // have complete ones
+      if (entry && entry.complete) {
+        cacheResults(query, callbacks.queryLocalResults(query, entry.results,
+                                                        options.caseSensitive,
+                                                        matcher, fold),
+                     null, true);
+        return true;
+      }
+    }
+    return false;
+  };
+
+  /**
+   * Retrieve cached results.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @returns {Array[Object]}
+   *   The array of results for this query, or undefined if not cached.
+   */
+  var getCachedResults = function(query) {
+    // The merged results of sources which are being fetched
+    if (federated && federated.query === query) {
+      return federated.merged;
+    }
+    var entry = resultCache.get(cacheKey(query));
+    return entry ? entry.results : undefined;
+  };
+
+  /**
+   * Empty the cache.
+   */
+  var clearCache = function() {
+    federated = null;
+    resultCache.clear();
+  };
+
+  /**
+   * Fetch the next page of results for the current query, if there is one.
+   *
+   * @returns {Boolean}
+   *   True if there are more results, which are being loaded.
+   */
+  var loadMore = function() {
+    var query = getQuery(),
+      entry = resultCache.get(cacheKey(query));
+    if (!entry || !entry.page) {
+      return false;
+    }
+    if (!isFetching(query)) {
+      fetchResults(query, entry.page);
+    }
+    return true;
+  };
+
+  /**
+   * Check whether a remote call is pending for a specific query.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @returns {Boolean}
+   *   True if the results for this query are being fetched.
+   */
+  var isFetching = function(query) {
+    return $.grep(activeRemoteCalls, function(controller) {
+      return controller.query === query;
+    }).length > 0;
+  };
+
+  /**
+   * Remove a remote call from the pending ones, and notify when there are no
+   * more pending calls.
+   *
+   * @param {Object} controller
+   *   The abort controller of the remote call.
+   */
+  var removeRemoteCall = function(controller) {
+    activeRemoteCalls = $.grep(activeRemoteCalls, function(value) {
+      return value !== controller;
+    });
+    if (!activeRemoteCalls.length) {
+      callbacks.finishFetching($input);
+      triggerEvent('fetchend');
+    }
+  };
+
+  /**
+   * Abort pending remote calls. Their responses will be discarded.
+   *
+   * @param {String} [except]
+   *   A query whose remote call should be left untouched, if any.
+   */
+  var abortRemoteCalls = function(except) {
+    $.each(activeRemoteCalls.slice(), function(i, controller) {
+      if (controller.query !== except) {
+        controller.abort();
+        removeRemoteCall(controller);
+      }
+    });
+  };
+
+  /**
+   * Set highlight to a specific result item
+   *
+   * @param {Number} index
+   *   The result item's index, or negative if highlight should be removed.
+   *
+   * @param {String} [trigger]
+   *   What triggered the highlight: "mouse", "key", "auto" or "api". If
+   *   index is negative trigger may be omitted.
+   *
+   * @param {Boolean} [autoScroll]
+   *   (default=false) If scrolling of the results list should be automated.
+   */
+  var setHighlighted = function(index, trigger, autoScroll) {
+    var prevIndex = highlightedIndex,
+      prevRow = resultRows[prevIndex],
+      row = resultRows[index];
+    if (prevRow && prevRow.element) {
+      $(prevRow.element).removeClass('highlight')
+        .attr('aria-selected', 'false');
+    }
+
+    if (!row) {
+      highlightedIndex = -1;
+      $input.removeAttr('aria-activedescendant');
+      return
+    }
+    highlightedIndex = index;
+    highlightTrigger = trigger;
+
+    // Scrolling up, then make sure to show the group title
+    var up = index == 0 || index < prevIndex,
+      scrollRow = up && rows[row.position - 1] &&
+                  rows[row.position - 1].type == 'group' ?
+                  rows[row.position - 1] : row;
+
+    if (autoScroll) {
+      scrollToRow(scrollRow);
+    }
+    if (row.element) {
+      $(row.element).addClass('highlight').attr('aria-selected', 'true');
+    }
+    $input.attr('aria-activedescendant', row.id);
+
+    if (prevIndex != index) {
+      if (trigger != 'mouse') {
+        updateCompletion(row.result);
+      }
+      callbacks.highlight(row.result, $input, trigger);
+      triggerEvent('highlight', [row.result, trigger]);
+    }
+  };
+
+  /**
+   * Scroll the results list so that a row is entirely visible.
+   *
+   * @param {Object} row
+   *   The row object.
+   */
+  var scrollToRow = function(row) {
+    var top, height;
+    if (options.virtualScroll && rowHeights) {
+      top = rowHeights.tops[row.position];
+      height = rowHeights[row.type];
+    }
+    else if (row.element) {
+      // Relative to the visible region
+      top = $(row.element).position().top + $results.scrollTop();
+      height = $(row.element).outerHeight();
+    }
+    else {
+      return;
+    }
+    // Is the row partly above the visible region?
+    if (top < $results.scrollTop()) {
+      $results.scrollTop(top);
+    }
+    // Or is it partly below the visible region?
+    else if (top + height > $results.scrollTop() + $results.height()) {
+      $results.scrollTop(top + height - $results.height());
+    }
+    if (options.virtualScroll) {
+      drawRows();
+    }
+  };
+
+  /**
+   * Calculate how many results fit in the visible region of the list, for
+   * paging with the page up and page down keys.
+   *
+   * @returns {Number}
+   *   The number of results per page, at least one.
+   */
+  var getPageSize = function() {
+    var row = resultRows[Math.max(0, highlightedIndex)],
+      height = rowHeights ? rowHeights.result :
+               row && row.element ? $(row.element).outerHeight() : 0;
+    return height > 0 ? Math.max(1, Math.floor($results.height() / height)) :
+           1;
+  };
+
+  /**
+   * Close the suggestion list. It stays closed until the query is altered or
+   * the list is opened again. The cached results are kept.
+   *
+   * @param {Boolean} [restore]
+   *   (default=false) Restore the text which was typed before the results
+   *   were navigated by keyboard, and remove the inline completion.
+   */
+  var close = function(restore) {
+    clearTimeout(timer);
+    timer = null;
+    if (restore && !isEditable && typedText !== null) {
+      completion = null;
+      if ($input.val() !== typedText) {
+        $input.val(typedText);
+      }
+    }
+    dismissedQuery = getQuery();
+    redraw();
+  };
+
+  /**
+   * Retrieve the index of the currently highlighted result item
+   *
+   * @returns {Number}
+   *   The result's index or -1 if no result is highlighted.
+   */
+  var getHighlightedIndex = function() {
+    return highlightedIndex;
+  };
+
+  /**
+   * Retrieve the result object with the specific position in the results list
+   *
+   * @param {Number} index
+   *   The index of the item in the current result list.
+   *
+   * @returns {Object}
+   *   The result object or null if index out of bounds.
+   */
+  var getResultByIndex = function(index) {
+    var row = resultRows[index];
+    if (!row) {
+      return; // No selectable element
+    }
+    return row.result;
+  };
+
+  /**
+   * Select the current highlighted element, if any.
+   */
+  var select = function() {
+    var highlighted = getHighlightedIndex(),
+      result = getResultByIndex(highlighted);
+    // Nothing is highlighted, so neither the event handlers nor the
+    // callback receive a result
+    if (result === undefined) {
+      return;
+    }
+    // Handlers of the select event may cancel the selection
+    if (triggerEvent('select', [result]).isDefaultPrevented()) {
+      return;
+    }
+    completion = null;
+    callbacks.select(result, $input, replaceQuery);
+    if (options.chips && $.type(result) == 'object') {
+      selectedResults.push(result);
+      renderChips();
+      $input.val('');
+      lastRenderedQuery = null;
+    }
+    else if (options.strict && $.type(result) == 'object') {
+      setStrictResult(result);
+    }
+    // Redraw again, if the callback changed focus or content
+    reprocess();
+  };
+
+  /**
+   * Abort the underlying request of a remote call along with the call, e.g.
+   * a jqXHR object.
+   *
+   * @param {Object} signal
+   *   The abort signal of the call.
+   *
+   * @param {Object} [request]
+   *   The request, if any. Nothing is done unless it has an abort() method.
+   */
+  var bindAbort = function(signal, request) {
+    if (request && $.isFunction(request.abort)) {
+      signal.onAbort(function() {
+        request.abort();
+      });
+    }
+  };
+
+  /**
+   * Fetch results from a function resource, which may answer synchronously
+   * with an array or asynchronously with a thenable.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @param {Function} completeCallback
+   *   Invoked with the results array or page object, or without arguments
+   *   upon failure.
+   *
+   * @param {Object} signal
+   *   The abort signal of this call.
+   *
+   * @param {mixed} [cursor]
+   *   The cursor of the page to fetch. Undefined for the first page.
+   *
+   * @param {Function} [fn]
+   *   (default=the resource) The function to invoke, e.g. of a source.
+   *
+   * @returns {Object}
+   *   The returned thenable, if any. It may have an abort() method.
+   */
+  var fetchFunctionData = function(query, completeCallback, signal, cursor,
+                                   fn) {
+    var returned;
+    // A function which throws has failed, like a rejected thenable
+    try {
+      returned = (fn || resource)(query, signal, cursor);
+    }
+    catch (e) {
+      completeCallback();
+      return;
+    }
+    if (returned && $.isFunction(returned.then)) {
+      returned.then(function(results) {
+        completeCallback(results);
+      }, function() {
+        completeCallback();
+      });
+      return returned;
+    }
+    completeCallback(returned);
+  };
+
+  /**
+   * Fetch data from a remote resource using the fetchRemoteData callback,
+   * with the request shaped by options.method, options.encoding,
+   * options.headers and options.dataType.
+   *
+   * @param {String} path
+   *   The URL of the resource.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @param {mixed} cursor
+   *   The cursor of the page to fetch, or undefined for the first page.
+   *
+   * @param {Function} process
+   *   Extracts the results from the data, see callbacks.processRemoteData.
+   *
+   * @param {Function} completeCallback
+   *   Invoked with the processed data, or without arguments upon failure.
+   *
+   * @param {Object} signal
+   *   The abort signal of the call.
+   *
+   * @returns {mixed}
+   *   The request, as returned by fetchRemoteData.
+   */
+  var fetchRemoteResource = function(path, query, cursor, process,
+                                     completeCallback, signal) {
+    var request = {
+        method: options.method.toUpperCase(),
+        headers: $.isFunction(options.headers) ? options.headers($input) :
+                 options.headers,
+        dataType: options.dataType
+      },
+      url = path;
+    if (request.method == 'GET') {
+      url = callbacks.constructURL(path, query, cursor, requestParams);
+    }
+    // Other methods send the parameters in the request body
+    else {
+      var data = $.extend({}, requestParams, { q: query });
+      if (cursor !== undefined) {
+        data.cursor = cursor;
+      }
+      if (options.encoding == 'json') {
+        request.body = JSON.stringify(data);
+        request.contentType = 'application/json; charset=UTF-8';
+      }
+      else {
+        request.body = $.param(data);
+        request.contentType =
+          'application/x-www-form-urlencoded; charset=UTF-8';
+      }
+    }
+    return callbacks.fetchRemoteData(url, function(data) {
+      if (data === undefined) {
+        completeCallback();
+      }
+      else {
+        completeCallback(process(data));
+      }
+    }, options.remoteTimeout, options.crossOrigin, signal, request);
+  };
+
+  /**
+   * Fetch results asynchronously via AJAX or from a function resource.
+   * Calls for other queries are superseded by this one, so they are aborted.
+   * Failed calls are retried according to options.retries, and are not
+   * cached.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @param {Object} [page]
+   *   The pagination state of the query, if the next page should be fetched
+   *   and appended to the cached results.
+   */
+  var fetchResults = function(query, page) {
+    if (options.sources) {
+      fetchSources(query);
+    }
+    // Synchronously fetch local data
+    else if (isLocal) {
+      cacheResults(query, queryLocal(query, resource, localIndex));
+      redraw();
+    }
+    // Asynchronously fetch remote data
+    else {
+      abortRemoteCalls(query);
+      var controller = createAbortController(),
+        attempt = 0,
+        retryTimer;
+      controller.query = query;
+      activeRemoteCalls.push(controller);
+      callbacks.beginFetching($input);
+      triggerEvent('fetchstart');
+      var complete = function(searchResults) {
+        // Discard responses of aborted calls, they are stale
+        if (controller.signal.aborted) {
+          return;
+        }
+        // The call failed if there is no response at all. Errors are not
+        // cached, so that the query is fetched again later.
+        if (!arguments.length) {
+          if (attempt < options.retries) {
+            retryTimer = setTimeout(send,
+              options.retryDelay * Math.pow(2, attempt++));
+            return;
+          }
+          removeRemoteCall(controller);
+          if (!page) {
+            failedQuery = query;
+            redraw();
+          }
+          callbacks.error(query, $input);
+          triggerEvent('error', [query]);
+          return;
+        }
+        if (failedQuery === query) {
+          failedQuery = null;
+        }
+        var nextPage = readPage(searchResults, page),
+          exhaustive = $.isPlainObject(searchResults) &&
+                       searchResults.complete === true;
+        if (!$.isArray(searchResults)) {
+          searchResults = $.isPlainObject(searchResults) &&
+                          $.isArray(searchResults.results) ?
+                          searchResults.results : [];
+        }
+        // Remove the call from active remote calls, since it's finished
+        removeRemoteCall(controller);
+        if (!page) {
+          cacheResults(query, searchResults, nextPage, exhaustive);
+          redraw();
+        }
+        // Append the page, unless the query has been evicted meanwhile
+        else if (getCachedResults(query)) {
+          searchResults = getCachedResults(query).concat(searchResults);
+          cacheResults(query, searchResults, nextPage, exhaustive);
+          if (lastRenderedQuery === query) {
+            refreshResults(query, searchResults, true);
+          }
+        }
+      };
+      var send = function() {
+        var request;
+        if (isFunction) {
+          request = fetchFunctionData(query, complete, controller.signal,
+                                      page && page.cursor);
+        }
+        else {
+          request = fetchRemoteResource(resource, query, page && page.cursor,
+                                        callbacks.processRemoteData, complete,
+                                        controller.signal);
+        }
+        bindAbort(controller.signal, request);
+      };
+      // Cancel a pending retry when aborted
+      controller.signal.onAbort(function() {
+        clearTimeout(retryTimer);
+      });
+      send();
+    }
+  };
+
+  /**
+   * Fetch results from all sources at once, see options.sources. Their
+   * results are merged and redrawn as each source answers.
+   *
+   * @param {String} query
+   *   The query string.
+   */
+  var fetchSources = function(query) {
+    abortRemoteCalls(query);
+    var controller = createAbortController(),
+      state = {
+        query: query,
+        results: {}, // Key is the source name, value is the results array
+        loading: {}, // Key is the source name, true while it is pending
+        pending: 0,
+        failed: {}, // Key is the source name, true if it has failed
+        merged: []
+      },
+      sources = $.grep(options.sources, function(source) {
+        return query.length >= Math.max(options.charLimit,
+                                        source.charLimit || 0);
+      });
+    controller.query = query;
+    activeRemoteCalls.push(controller);
+    callbacks.beginFetching($input);
+    triggerEvent('fetchstart');
+    federated = state;
+    controller.signal.onAbort(function() {
+      if (federated === state) {
+        federated = null;
+      }
+    });
+    $.each(sources, function(i, source) {
+      state.loading[source.name] = true;
+      state.pending++;
+    });
+    var finish = function() {
+      removeRemoteCall(controller);
+      // Results are not cached if a source failed, so it is fetched again
+      if ($.isEmptyObject(state.failed)) {
+        federated = null;
+        cacheResults(query, state.merged);
+      }
+    };
+    $.each(sources, function(i, source) {
+      fetchSource(source, query, controller.signal, function(results) {
+        if (controller.signal.aborted) {
+          return;
+        }
+        if (!arguments.length) {
+          state.failed[source.name] = true;
+          callbacks.error(query, $input);
+          triggerEvent('error', [query, source.name]);
+        }
+        // Copy the results once, so that they keep their identity
+        state.results[source.name] = $.map(
+          $.isArray(results) ? results :
+          $.isPlainObject(results) && $.isArray(results.results) ?
+          results.results : [],
+          function(result, index) {
+            if (source.limit && index >= source.limit) {
+              return null;
+            }
+            return $.type(result) == 'object' ?
+                   $.extend({}, result, { group: getSourceTitle(source) }) :
+                   null;
+          });
+        state.loading[source.name] = false;
+        state.merged = [];
+        $.each(options.sources, function(i, source) {
+          state.merged = state.merged.concat(state.results[source.name] || []);
+        });
+        if (!--state.pending) {
+          finish();
+        }
+        if (lastRenderedQuery === query) {
+          refreshResults(query, getCachedResults(query));
+        }
+        else {
+          redraw();
+        }
+      });
+    });
+    if (!sources.length) {
+      finish();
+    }
+    // Show the loading sources
+    redraw();
+  };
+
+  /**
+   * Fetch the results of a single source.
+   *
+   * @param {Object} source
+   *   The source, see options.sources.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @param {Object} signal
+   *   The abort signal of the call.
+   *
+   * @param {Function} completeCallback
+   *   Invoked with the results array or page object, or without arguments
+   *   upon failure.
+   */
+  var fetchSource = function(source, query, signal, completeCallback) {
+    var request;
+    if ($.isFunction(source.resource)) {
+      request = fetchFunctionData(query, completeCallback, signal, undefined,
+                                  source.resource);
+    }
+    else if ($.type(source.resource) == 'string') {
+      request = fetchRemoteResource(source.resource, query, undefined,
+                                    source.processRemoteData ||
+                                    callbacks.processRemoteData,
+                                    completeCallback, signal);
+    }
+    else {
+      completeCallback(queryLocal(query, source.resource));
+    }
+    bindAbort(signal, request);
+  };
+
+  /**
+   * Retrieve the group heading of a source.
+   *
+   * @param {Object} source
+   *   The source, see options.sources.
+   *
+   * @returns {String}
+   *   The title of the source, or its name.
+   */
+  var getSourceTitle = function(source) {
+    return $.type(source.title) == 'string' ? source.title : source.name;
+  };
+
+  /**
+   * Render the results of the rendered query again, after more of them have
+   * arrived. The scrolling position is kept, and so is the highlighted
+   * result, unless it was highlighted automatically.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @param {Array[Object]} results
+   *   All results of the query.
+   *
+   * @param {Boolean} [appended]
+   *   True if the results were appended to the rendered ones, so that the
+   *   highlighted index still points at the same result. Otherwise the
+   *   highlighted result object is looked up among the results.
+   */
+  var refreshResults = function(query, results, appended) {
+    var scrollTop = $results.scrollTop();
+    // Results read from Web Storage are new copies, which can not be looked
+    // up, so appended pages keep the highlight by index
+    renderResults(excludeSelected(results), query,
+                  highlightTrigger == 'auto' ? -1 :
+                  appended ? highlightedIndex :
+                  getResultByIndex(highlightedIndex));
+    if (options.autoHighlight && highlightedIndex < 0 &&
+        resultRows.length > 0) {
+      setHighlighted(0, 'auto');
+    }
+    else if (options.statusRows && !rows.length && !isFetching(query)) {
+      renderMessage('empty', callbacks.themeEmpty(query));
+    }
+    $results.scrollTop(scrollTop);
+    // Show or hide the list, now that the rows have changed
+    redraw();
+  };
+
+  /**
+   * Reprocess the contents of the input field, fetch data and redraw if
+   * necessary.
+   *
+   * @param {Object} [event]
+   *   The event that triggered the reprocessing. Not always present.
+   *
+   * @param {Boolean} [immediate]
+   *   (default=false) Fetch remote results without waiting for options.delay.
+   */
+  function reprocess(event, immediate) {
+    // If this call was triggered by a key which navigated the results or
+    // closed the list, cancel the reprocessing.
+    if ($.type(event) == 'object' && event.type == 'keyup' &&
+        event.keyCode === capturedKey) {
+      return;
+    }
+    var query = getQuery();
+    // The text to restore when the list is closed with escape
+    keyNavigation = false;
+    typedText = getTypedValue();
+    clearTimeout(timer);
+    // Indicate that timer is inactive
+    timer = null;
+    if (options.strict) {
+      updateStrictValue();
+    }
+    // An altered query reopens a closed list
+    if (query !== dismissedQuery) {
+      dismissedQuery = null;
+    }
+    // The parameters may depend on other form fields, which have changed
+    updateParams(query);
+    // A failed query is fetched again
+    if (query === failedQuery && !isFetching(query)) {
+      failedQuery = null;
+    }
+    // So are sources, if one of them failed
+    if (federated && federated.query !== query &&
+        !isFetching(federated.query)) {
+      federated = null;
+    }
+    redraw();
+    if (query.length >= options.charLimit && isQueryActive() &&
+        !getCachedResults(query) && !isFetching(query)) {
+      // Fetching is required
+      clearRows();
+      if (filterCachedPrefix(query)) {
+        redraw();
+      }
+      else if (isLocal || immediate) {
+        fetchResults(query);
+      }
+      else {
+        timer = setTimeout(function() {
+          fetchResults(query);
+          timer = null;
+        }, options.delay);
+      }
+      // Show the loading row while results are awaited
+      if (options.statusRows) {
+        redraw();
+      }
+    }
+  };
+
+  /**
+   * Redraws the autocomplete list based on current query and focus.
+   *
+   * @param {Boolean} [focus]
+   *   (default=false) Force to treat the input element like it's focused.
+   */
+  var redraw = function(focus) {
+    var query = getQuery(),
+      active = isQueryActive(),
+      results = active && getCachedResults(query);
+
+    // The query does not exist in db
+    if (!results) {
+      lastRenderedQuery = null;
+      clearRows();
+      // Outside of a mention in mention mode, nothing is shown
+      if (active && query === failedQuery) {
+        renderMessage('error', callbacks.themeError(query));
+      }
+      else if (active && options.statusRows && (timer || isFetching(query))) {
+        renderMessage('loading', callbacks.themeLoading(query));
+      }
+      else if (active && options.statusRows && query.length &&
+               query.length < options.charLimit) {
+        renderMessage('hint', callbacks.themeHint(
+          options.charLimit - query.length, query));
+      }
+    }
+    // The query exists and is not already rendered
+    else if (lastRenderedQuery !== query) {
+      lastRenderedQuery = query;
+      renderResults(excludeSelected(results), query);
+      if (options.autoHighlight && resultRows.length > 0) {
+        setHighlighted(0, 'auto');
+      }
+      else if (options.statusRows && !rows.length && !isFetching(query)) {
+        renderMessage('empty', callbacks.themeEmpty(query));
+      }
+    }
+    // Finally show/hide based on focus and emptiness
+    if (($input.is(':focus') || focus) && rows.length &&
+        dismissedQuery === null) {
+      $results.filter(':hidden').show() // Show if hidden
+        .scrollTop($results.data('scroll-top')); // Reset the lost scrolling
+      // The size of the list or the layout may have changed
+      reposition();
+      if (options.virtualScroll) {
+        drawRows(); // Measure the rows, now that they are visible
+      }
+      if (hiddenResults) {
+        hiddenResults = false;
+        bindPositioning(true);
+        $input.attr('aria-expanded', 'true');
+        callbacks.afterShow($results);
+        triggerEvent('show', [$results]);
+      }
+      // A message row is announced as is
+      announce(resultRows.length || rows[0].type != 'message' ?
+               resultRows.length : $(rows[0].element).text());
+    }
+    else if ($results.is(':visible')) {
+      // Store the scrolling position for later
+      $results.data('scroll-top', $results.scrollTop())
+        .hide(); // Hiding it resets it's scrollTop
+      if (!hiddenResults) {
+        hiddenResults = true;
+        bindPositioning(false);
+        $input.attr('aria-expanded', 'false');
+        callbacks.afterHide($results);
+        triggerEvent('hide', [$results]);
+      }
+    }
+    // Announce when a finished search did not yield any results
+    if (hiddenResults) {
+      announce(lastRenderedQuery !== null && $input.is(':focus') ? 0 : null);
+    }
+  };
+
+  /**
+   * Position the suggestion list next to the input, see
+   * {@link callbacks.positionSuggestionList}.
+   */
+  var reposition = function() {
+    // A custom insertSuggestionList may position the list itself, which the
+    // default positioning would undo
+    if (callbacks.insertSuggestionList !==
+        defaultCallbacks.insertSuggestionList &&
+        callbacks.positionSuggestionList ===
+        defaultCallbacks.positionSuggestionList) {
+      return;
+    }
+    callbacks.positionSuggestionList($results, $input, options.maxHeight,
+                                     options.flip, options.triggers ?
+                                     getCaretCoordinates($input[0]) : null);
+  };
+
+  /**
+   * Reposition the visible suggestion list when the window is resized or
+   * when the page, the input or any container of the input is scrolled.
+   *
+   * @param {Boolean} bind
+   *   True to bind the event handlers, false to unbind them.
+   */
+  var bindPositioning = function(bind) {
+    var $targets = $(window).add($input.parents()).add($input),
+      namespace = '.' + id;
+    $targets.unbind(namespace);
+    if (bind) {
+      $(window).bind('resize' + namespace, reposition);
+      $targets.bind('scroll' + namespace, reposition);
+    }
+  };
+
+  /**
+   * Remove all rows from the results list.
+   */
+  var clearRows = function() {
+    rows = [];
+    resultRows = [];
+    highlightedIndex = -1;
+    $results.empty();
+    $input.removeAttr('aria-activedescendant');
+  };
+
+  /**
+   * Render a message row, which is not selectable, after the other rows.
+   *
+   * @param {String} kind
+   *   The kind of message, used as class name: "empty", "error", "hint" or
+   *   "loading".
+   *
+   * @param {String} output
+   *   The themed message HTML. If empty or not a string, nothing is
+   *   rendered.
+   */
+  var renderMessage = function(kind, output) {
+    if ($.type(output) != 'string' || output === '') {
+      return;
+    }
+    rows.push({
+      type: 'message',
+      kind: kind,
+      output: output,
+      position: rows.length
+    });
+    rowHeights = null;
+    drawRows();
+  };
+
+  /**
+   * Regenerate the DOM content within the results list for a given set of
+   * results. Heavy method, use only when necessary.
+   *
+   * @param {Array[Object]} results
+   *   An array of result objects to render.
+   *
+   * @param {String} query
+   *   The canonical query of the results.
+   *
+   * @param {Number|Object} [highlighted]
+   *   The index of the result to keep highlighted, or the result object
+   *   itself, e.g. when a page has been appended.
+   */
+  var renderResults = function(results, query, highlighted) {
+    var groups = {}, // Key is the group name, value is an array of rows
+      groupNames = [], // Group names in order of appearance
+      groupless = [], // Rows of results without group, rendered first
+      format = function(text, field) {
+        return formatField(text, field, query);
+      };
+
+    clearRows();
+    $.each(results, function(index, result) {
+      if ($.type(result) != 'object') {
+        return; // Continue
+      }
+
+      var output = callbacks.themeResult(result, query, format);
+      if ($.type(output) != 'string') {
+        return; // Continue
+      }
+
+      // Add the group if it doesn't exist
+      var group = callbacks.getGroup(result),
+        row = { type: 'result', result: result, output: output };
+      if ($.type(group) != 'string') {
+        groupless.push(row);
+      }
+      else if (!groups[group]) {
+        groups[group] = [{ type: 'group', group: group }, row];
+        groupNames.push(group);
+      }
+      else {
+        groups[group].push(row);
+      }
+    });
+
+    if (options.sources) {
+      groupNames = orderSourceGroups(groups, groupNames, query);
+    }
+    rows = groupless;
+    $.each(groupNames, function(i, group) {
+      rows = rows.concat(groups[group]);
+    });
+    $.each(rows, function(position, row) {
+      row.position = position;
+      if (row.type == 'result') {
+        row.index = resultRows.length;
+        row.id = id + '-result-' + row.index;
+        resultRows.push(row);
+      }
+    });
+    if ($.type(highlighted) == 'object') {
+      highlighted = $.inArray(highlighted, $.map(resultRows, function(row) {
+        return [row.result];
+      }));
+    }
+    if (resultRows[highlighted]) {
+      highlightedIndex = highlighted;
+      $input.attr('aria-activedescendant', resultRows[highlighted].id);
+    }
+    rowHeights = null;
+    $results.scrollTop(0);
+    drawRows();
+  };
+
+  /**
+   * Order the groups of the sources like options.sources, followed by any
+   * other groups. Sources which are still loading get a group heading with
+   * a loading row, and sources which have failed one with an error row.
+   *
+   * @param {Object} groups
+   *   The rows of each group, keyed by group name. Groups of loading and
+   *   failed sources are added.
+   *
+   * @param {Array[String]} groupNames
+   *   The group names in order of appearance.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @returns {Array[String]}
+   *   The group names in order.
+   */
+  var orderSourceGroups = function(groups, groupNames, query) {
+    var ordered = [];
+    $.each(options.sources, function(i, source) {
+      var group = getSourceTitle(source),
+        state = federated && federated.query === query ? federated : null,
+        kind = state && (state.loading[source.name] ? 'loading' :
+                         state.failed[source.name] ? 'error' : null),
+        output;
+      if (!groups[group] && kind) {
+        output = kind == 'loading' ? callbacks.themeLoading(query) :
+                 callbacks.themeError(query);
+        if ($.type(output) == 'string' && output !== '') {
+          groups[group] = [{ type: 'group', group: group }, {
+            type: 'message',
+            kind: kind,
+            output: output
+          }];
+        }
+      }
+      if (groups[group] && $.inArray(group, ordered) < 0) {
+        ordered.push(group);
+      }
+    });
+    return ordered.concat($.grep(groupNames, function(group) {
+      return $.inArray(group, ordered) < 0;
+    }));
+  };
+
+  /**
+   * Create the DOM element for a row.
+   *
+   * @param {Object} row
+   *   The row object, either a group heading, a result or a message.
+   *
+   * @returns {Object}
+   *   The LI element.
+   */
+  var createRowElement = function(row) {
+    if (row.type == 'group') {
+      return $('<li />').addClass('group')
+        .attr('role', 'presentation')
+        .append($('<h3 />').html(formatField(row.group, 'group')))[0];
+    }
+    if (row.type == 'message') {
+      return $('<li />').addClass('message').addClass(row.kind)
+        .attr('role', 'presentation')
+        .append(row.output)[0];
+    }
+    var $result = $('<li />').addClass('result')
+      .attr({
+        id: row.id,
+        role: 'option',
+        'aria-selected': row.index == highlightedIndex ? 'true' : 'false'
+      })
+      .append(row.output)
+      .data('result', row.result) // Store the result object on this DOM element
+      .data('index', row.index)
+      .addClass(row.result.addClass)
+      .toggleClass('highlight', row.index == highlightedIndex);
+    if (options.virtualScroll) {
+      // Assistive technology can not count the results which are not rendered
+      $result.attr({
+        'aria-setsize': resultRows.length,
+        'aria-posinset': row.index + 1
+      });
+    }
+    return $result[0];
+  };
+
+  /**
+   * Insert the row elements into the results list. In virtual scroll mode,
+   * only the rows within the visible region (and a few around it) are
+   * rendered, and spacers take the place of the others.
+   */
+  var drawRows = function() {
+    var first = 0,
+      last = rows.length - 1,
+      overscan = 5,
+      spacers = [0, 0],
+      elements = [];
+
+    if (options.virtualScroll) {
+      measureRows();
+      if (rowHeights) {
+        var tops = rowHeights.tops,
+          scrollTop = $results.scrollTop(),
+          bottom = scrollTop + $results.height();
+        // Binary search for the first visible row
+        var low = 0,
+          high = rows.length - 1;
+        while (low < high) {
+          var middle = Math.floor((low + high + 1) / 2);
+          if (tops[middle] <= scrollTop) {
+            low = middle;
+          }
+          else {
+            high = middle - 1;
+          }
+        }
+        first = Math.max(0, low - overscan);
+        last = low;
+        while (last < rows.length - 1 && tops[last + 1] < bottom) {
+          last++;
+        }
+        last = Math.min(rows.length - 1, last + overscan);
+        spacers = [tops[first], tops[rows.length] - tops[last + 1]];
+      }
+      else {
+        // Render enough rows for measuring once the list is visible
+        last = Math.min(rows.length - 1, 30);
+      }
+      if (rowHeights && rowHeights.first === first &&
+          rowHeights.last === last) {
+        return; // Already rendered
+      }
+    }
+
+    $.each(rows, function(position, row) {
+      row.element = null;
+    });
+    for (var position = first; position <= last; position++) {
+      rows[position].element = createRowElement(rows[position]);
+      elements.push(rows[position].element);
+    }
+    $results.children().remove();
+    $.each(spacers, function(i, height) {
+      if (height > 0) {
+        var spacer = $('<li />').addClass('spacer')
+          .attr({ role: 'presentation', 'aria-hidden': 'true' })
+          .height(height)[0];
+        if (i == 0) {
+          elements.unshift(spacer);
+        }
+        else {
+          elements.push(spacer);
+        }
+      }
+    });
+    $results.append(elements);
+    if (rowHeights) {
+      rowHeights.first = first;
+      rowHeights.last = last;
+    }
+  };
+
+  /**
+   * Measure the height of a result row, a group heading row and a message
+   * row, and calculate the top offset of every row. Only possible when the
+   * results list is visible.
+   */
+  var measureRows = function() {
+    if (rowHeights || !$results.is(':visible')) {
+      return;
+    }
+    var heights = {},
+      tops = [0];
+    $.each(rows, function(position, row) {
+      if (row.element && !heights[row.type]) {
+        heights[row.type] = $(row.element).outerHeight();
+      }
+    });
+    // Types which are not among the rendered rows, e.g. group headings after
+    // many groupless results, are measured on an invisible sample
+    $.each(rows, function(position, row) {
+      if (!heights[row.type]) {
+        var $sample = $(createRowElement(row)).removeAttr('id')
+          .css('visibility', 'hidden').appendTo($results);
+        heights[row.type] = $sample.outerHeight();
+        $sample.remove();
+      }
+    });
+    $.each(rows, function(position, row) {
+      tops.push(tops[position] + heights[row.type]);
+    });
+    rowHeights = $.extend(heights, { tops: tops });
+  };
+};
+
+/*
+ * Number of created instances, used for generating unique DOM ids.
+ */
+var instanceCount = 0;
+
+/*
+ * The number of exact matches of a local query below which typo matches are
+ * searched for too, see options.typoTolerance.
+ */
+var typoThreshold = 5;
+
+/*
+ * Characters which separate words, used for ranking word start matches.
+ */
+var wordSeparator = /[\s\-_.,;:!?\/\\()\[\]{}'"&+*#@]/;
+
+/*
+ * Built-in matchers, selectable with options.matcher. A matcher takes a
+ * canonical query, a text and the options, and returns null if the text does
+ * not match. Otherwise it returns an object with a score (higher is better)
+ * and the ranges of the text that matched, as [start, end] offset pairs.
+ */
+var matchers = {
+  /*
+   * Find the query anywhere in the text. All matches score the same.
+   */
+  substring: function(query, text) {
+    var index = text.indexOf(query);
+    if (index < 0) {
+      return null;
+    }
+    return { score: 1, ranges: [[index, index + query.length]] };
+  },
+
+  /*
+   * Score prefix matches (3) above word start matches (2) above mid-word
+   * matches (1). Within a level, texts which are covered more by the query
+   * score higher. Typo matches at word starts score below 1.
+   */
+  ranked: function(query, text, options) {
+    var index = text.indexOf(query),
+      level = 0,
+      first = index;
+    while (index >= 0 && level < 3) {
+      if (index == 0) {
+        level = 3;
+        first = index;
+      }
+      else if (level < 2 && wordSeparator.test(text.charAt(index - 1))) {
+        level = 2;
+        first = index;
+      }
+      else {
+        level = Math.max(level, 1);
+      }
+      index = text.indexOf(query, index + 1);
+    }
+    if (level) {
+      return {
+        score: level + 0.9 * query.length / Math.max(text.length, 1),
+        ranges: [[first, first + query.length]]
+      };
+    }
+    return matchTypos(query, text, options.typoTolerance);
+  }
+};
+
+/*
+ * Approximately match a query against the word starts of a text, allowing a
+ * number of edits (insertions, deletions and substitutions).
+ *
+ * @param {String} query
+ *   The canonical query.
+ *
+ * @param {String} text
+ *   The text to search in.
+ *
+ * @param {Number} tolerance
+ *   The maximum number of edits.
+ *
+ * @returns {Object}
+ *   A match object scoring below 1, or null if no match.
+ */
+var matchTypos = function(query, text, tolerance) {
+  // Short queries would match almost anything
+  if (!tolerance || query.length <= tolerance * 2) {
+    return null;
+  }
+  var best = null;
+  for (var start = 0; start < text.length; start++) {
+    if (start > 0 && !wordSeparator.test(text.charAt(start - 1))) {
+      continue;
+    }
+    // Edit distance between the query and any prefix of the word onwards
+    var maxLength = Math.min(text.length - start, query.length + tolerance),
+      previous = [],
+      current,
+      smallest,
+      i,
+      j;
+    for (j = 0; j <= maxLength; j++) {
+      previous[j] = j;
+    }
+    for (i = 1; i <= query.length; i++) {
+      current = [i];
+      smallest = i;
+      for (j = 1; j <= maxLength; j++) {
+        current[j] = Math.min(previous[j] + 1, current[j - 1] + 1,
+          previous[j - 1] +
+          (query.charAt(i - 1) == text.charAt(start + j - 1) ? 0 : 1));
+        smallest = Math.min(smallest, current[j]);
+      }
+      previous = current;
+      // The distances never decrease from row to row, so give up early
+      if (smallest > tolerance) {
+        break;
+      }
+    }
+    if (i <= query.length) {
+      continue;
+    }
+    for (j = 0; j <= maxLength; j++) {
+      if (previous[j] <= tolerance &&
+          (!best || previous[j] < best.distance)) {
+        best = { distance: previous[j], ranges: [[start, start + j]] };
+      }
+    }
+  }
+  if (!best) {
+    return null;
+  }
+  return {
+    score: (tolerance + 1 - best.distance) / (tolerance + 2),
+    ranges: best.ranges
+  };
+};
+
+/*
+ * Letters which are not decomposed by Unicode normalization, or all
+ * diacritics if String.prototype.normalize is not supported (IE).
+ */
+var foldedLetters = {
+  '\u00df': 'ss', '\u1e9e': 'SS', '\u00e6': 'ae', '\u00c6': 'AE',
+  '\u0153': 'oe', '\u0152': 'OE', '\u00f8': 'o', '\u00d8': 'O',
+  '\u0111': 'd', '\u0110': 'D', '\u0142': 'l', '\u0141': 'L',
+  '\u00fe': 'th', '\u00de': 'TH', '\u0131': 'i'
+};
+$.each({
+  a: '\u00e0\u00e1\u00e2\u00e3\u00e4\u00e5',
+  c: '\u00e7',
+  e: '\u00e8\u00e9\u00ea\u00eb',
+  i: '\u00ec\u00ed\u00ee\u00ef',
+  n: '\u00f1',
+  o: '\u00f2\u00f3\u00f4\u00f5\u00f6',
+  u: '\u00f9\u00fa\u00fb\u00fc',
+  y: '\u00fd\u00ff'
+}, function(letter, accented) {
+  $.each(accented.split(''), function(i, character) {
+    foldedLetters[character] = letter;
+    foldedLetters[character.toUpperCase()] = letter.toUpperCase();
+  });
+});
+
+/*
+ * Fold a text for comparison: convert it to lowercase unless case sensitive,
+ * and strip diacritics if normalization is enabled.
+ *
+ * @param {String} text
+ *   The text to fold.
+ *
+ * @param {Object} settings
+ *   An object with the properties caseSensitive, normalize and locale, see
+ *   options.
+ *
+ * @returns {String}
+ *   The folded text.
+ */
+var foldText = function(text, settings) {
+  if (!settings.caseSensitive) {
+    text = settings.locale && text.toLocaleLowerCase ?
+           toLocaleLowerCase(text, settings.locale) : text.toLowerCase();
+  }
+  if (settings.normalize) {
+    if (text.normalize) {
+      // Decompose and remove the combining diacritical marks
+      text = text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    }
+    text = text.replace(/[^\u0000-\u007f]/g, function(character) {
+      return foldedLetters[character] || character;
+    });
+  }
+  return text;
+};
+
+/*
+ * Fold a text like foldText(), and keep track of where each folded character
+ * comes from, since folding may change the length of the text.
+ *
+ * @param {String} text
+ *   The text to fold.
+ *
+ * @param {Object} settings
+ *   See foldText().
+ *
+ * @returns {Object}
+ *   An object with the properties text (the folded text) and map (an array
+ *   with the original offset for each offset of the folded text).
+ */
+var foldTextMapped = function(text, settings) {
+  var folded = [],
+    map = [];
+  for (var i = 0; i < text.length; i++) {
+    var character = foldText(text.charAt(i), settings);
+    folded.push(character);
+    for (var j = 0; j < character.length; j++) {
+      map.push(i);
+    }
+  }
+  return { text: folded.join(''), map: map };
+};
+
+/*
+ * Escape a text for HTML output.
+ *
+ * @param {String} text
+ *   Plain text.
+ *
+ * @returns {String}
+ *   The text, with HTML special characters replaced by entities.
+ */
+var escapeHtml = function(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+};
+
+/*
+ * Convert a text to lowercase using the rules of a locale, if supported.
+ *
+ * @param {String} text
+ *   The text to convert.
+ *
+ * @param {String} locale
+ *   A BCP 47 language tag, e.g. "tr".
+ *
+ * @returns {String}
+ *   The lowercase text.
+ */
+var toLocaleLowerCase = function(text, locale) {
+  try {
+    return text.toLocaleLowerCase(locale);
+  }
+  catch (e) { // Invalid locale
+    return text.toLowerCase();
+  }
+};
+
+/*
+ * Sort matches by score, best first. Equal scores keep the source order.
+ *
+ * @param {Array[Object]} matches
+ *   Objects with the properties result, score and index (the source order).
+ *
+ * @returns {Array[Object]}
+ *   The sorted result objects.
+ */
+var sortMatches = function(matches) {
+  matches.sort(function(a, b) {
+    return (b.score - a.score) || (a.index - b.index);
+  });
+  return $.map(matches, function(match) {
+    return match.result;
+  });
+};
+
+/**
+ * A search index of a local array resource. The searchable fields are
+ * normalized once, and the matches of recent queries are kept so that a
+ * longer query only needs to search the matches of its prefix.
+ *
+ * @private @constructor
+ * @name SearchIndex
+ *
+ * @param {Array} resource
+ *   The local resource, an array of strings or result objects.
+ *
+ * @param {Function} fold
+ *   Folds a text for comparison, see foldText().
+ */
+var SearchIndex = function(resource, fold) {
+  var entries = [],
+    // Per pass, key is the query and value is an array of entry indexes
+    narrowed = { exact: {}, typos: {} },
+    narrowedOrder = [], // [pass, query] pairs in the order they are added
+    narrowedLimit = 32,
+    normalize = function(text) {
+      return $.type(text) == 'string' ? fold(text) : null;
+    };
+
+  $.each($.isArray(resource) ? resource : [], function(i, value) {
+    switch ($.type(value)) {
+    case 'string':
+      entries.push({ result: { title: value }, fields: [normalize(value)] });
+      break;
+    case 'object':
+      entries.push({
+        result: value,
+        fields: [normalize(value.title), normalize(value.description)]
+      });
+      break;
+    }
+  });
+
+  /**
+   * Find the entries matching a query. Equivalent to the default
+   * queryLocalResults callback.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @param {Function} matcher
+   *   The matcher function, see options.matcher.
+   *
+   * @param {Number} [minPrefix]
+   *   (default=1) The shortest prefix that may be used for narrowing.
+   *
+   * @param {Boolean} [typos]
+   *   True if the matcher allows typos. Its matches are narrowed apart from
+   *   the exact ones, which may miss entries that match with typos.
+   *
+   * @returns {Array[Object]}
+   *   The matching result objects, best first.
+   */
+  this.query = function(query, matcher, minPrefix, typos) {
+    var pass = narrowed[typos ? 'typos' : 'exact'],
+      candidates = null,
+      matches = [],
+      indexes = [];
+    // Find the matches of the longest prefix, if any
+    for (var length = query.length - 1;
+         length >= (minPrefix || 1) && !candidates; length--) {
+      candidates = pass[query.substring(0, length)] || null;
+    }
+    $.each(candidates || entries, function(i, entryIndex) {
+      if (!candidates) {
+        entryIndex = i;
+      }
+      var score = 0;
+      $.each(entries[entryIndex].fields, function(j, text) {
+        var match = text === null ? null : matcher(query, text);
+        if (match && match.score > score) {
+          score = match.score;
+        }
+      });
+      if (score > 0) {
+        matches.push({
+          result: entries[entryIndex].result,
+          score: score,
+          index: entryIndex
+        });
+        indexes.push(entryIndex);
+      }
+    });
+    if (!pass[query]) {
+      narrowedOrder.push([pass, query]);
+      if (narrowedOrder.length > narrowedLimit) {
+        var oldest = narrowedOrder.shift();
+        delete oldest[0][oldest[1]];
+      }
+    }
+    pass[query] = indexes;
+    return sortMatches(matches);
+  };
+};
+
+/*
+ * In-memory storage backend, for the "instance" and "shared" caches.
+ *
+ * @returns {Object}
+ *   An object with the methods getItem, setItem and removeItem.
+ */
+var createMemoryStorage = function() {
+  var items = {};
+  return {
+    getItem: function(key) {
+      return items.hasOwnProperty(key) ? items[key] : null;
+    },
+    setItem: function(key, value) {
+      items[key] = value;
+    },
+    removeItem: function(key) {
+      delete items[key];
+    }
+  };
+};
+
+/*
+ * Storage backends which are shared by all instances, by name.
+ */
+var sharedStorages = {
+  shared: createMemoryStorage()
+};
+
+/*
+ * Web Storage backend, storing the values as JSON with prefixed keys. Falls
+ * back to the shared memory storage if Web Storage or JSON is unavailable,
+ * e.g. in old browsers or when cookies are disabled.
+ *
+ * @param {String} name
+ *   Either "localStorage" or "sessionStorage".
+ *
+ * @returns {Object}
+ *   An object with the methods getItem, setItem and removeItem.
+ */
+var createWebStorage = function(name) {
+  var storage,
+    prefix = 'better-autocomplete|';
+  try {
+    storage = window[name];
+    storage.setItem(prefix, '');
+    storage.removeItem(prefix);
+  }
+  catch (e) {
+    storage = null;
+  }
+  if (!storage || !window.JSON) {
+    return sharedStorages.shared;
+  }
+  return {
+    getItem: function(key) {
+      try {
+        return JSON.parse(storage.getItem(prefix + key));
+      }
+      catch (e) {
+        return null;
+      }
+    },
+    setItem: function(key, value) {
+      try {
+        storage.setItem(prefix + key, JSON.stringify(value));
+      }
+      catch (e) {} // Quota exceeded, do not cache
+    },
+    removeItem: function(key) {
+      storage.removeItem(prefix + key);
+    }
+  };
+};
+
+/**
+ * A cache of results for a namespace in a storage backend. Entries expire
+ * after their time to live, and the least recently used entries are evicted
+ * when the size limit is exceeded. The usage order is kept in the backend
+ * too, so that it is shared and persisted together with the entries.
+ *
+ * @private @constructor
+ * @name ResultCache
+ *
+ * @param {String|Object} backend
+ *   See options.cache.
+ *
+ * @param {String} namespace
+ *   The prefix of the keys, see options.cacheNamespace.
+ */
+var ResultCache = function(backend, namespace) {
+  var storage,
+    indexKey = namespace + '|index',
+    entryKey = function(query) {
+      return namespace + '|q|' + query;
+    },
+    // The usage order: [query, size] pairs, least recently used first
+    readIndex = function() {
+      var index = storage.getItem(indexKey);
+      return index && $.isArray(index.order) ? index : { order: [] };
+    },
+    findQuery = function(index, query) {
+      for (var i = 0; i < index.order.length; i++) {
+        if (index.order[i][0] === query) {
+          return i;
+        }
+      }
+      return -1;
+    };
+
+  if ($.type(backend) == 'object') {
+    storage = backend;
+  }
+  else if (backend == 'localStorage' || backend == 'sessionStorage') {
+    storage = sharedStorages[backend] ||
+              (sharedStorages[backend] = createWebStorage(backend));
+  }
+  else {
+    storage = sharedStorages[backend] || createMemoryStorage();
+  }
+
+  /**
+   * Retrieve a cache entry, and mark it as the most recently used.
+   *
+   * @param {String} query
+   *   The query string.
+   *
+   * @returns {Object}
+   *   The entry, with the properties results and page, or undefined if it is
+   *   not cached or has expired.
+   */
+  this.get = function(query) {
+    var entry = storage.getItem(entryKey(query));
+    if (!entry || !$.isArray(entry.results)) {
+      return;
     }
+    if (entry.expires && entry.expires <= new Date().getTime()) {
+      this.remove(query);
+      return;
+    }
+    var index = readIndex(),
+      position = findQuery(index, query);
+    if (position >= 0 && position < index.order.length - 1) {
+      index.order.push(index.order.splice(position, 1)[0]);
+      storage.setItem(indexKey, index);
+    }
+    return entry;
   };
 
   /**
-   * Redraws the autocomplete list based on current query and focus.
+   * Add or replace a cache entry. Evicts the least recently used entries
+   * until the size fits within the limit, but never the added entry.
    *
-   * @param {Boolean} [focus]
-   *   (default=false) Force to treat the input element like it's focused.
+   * @param {String} query
+   *   The query string.
+   *
+   * @param {Object} entry
+   *   The entry, with the properties results and page.
+   *
+   * @param {Number} limit
+   *   The maximum number of result objects in this namespace.
+   *
+   * @param {Number} [ttl]
+   *   The time to live in ms, or 0 if the entry never expires.
    */
-  var redraw = function(focus) {
-    var query = callbacks.canonicalQuery($input.val(), options.caseSensitive);
-
-    // The query does not exist in db
-    if (!$.isArray(cache[query])) {
-      lastRenderedQuery = null;
-      $results.empty();
-    }
-    // The query exists and is not already rendered
-    else if (lastRenderedQuery !== query) {
-      lastRenderedQuery = query;
-      renderResults(cache[query]);
-      if (options.autoHighlight && $('.result', $results).length > 0) {
-        setHighlighted(0, 'auto');
-      }
-    }
-    // Finally show/hide based on focus and emptiness
-    if (($input.is(':focus') || focus) && !$results.is(':empty')) {
-      $results.filter(':hidden').show() // Show if hidden
-        .scrollTop($results.data('scroll-top')); // Reset the lost scrolling
-      if (hiddenResults) {
-        hiddenResults = false;
-        callbacks.afterShow($results);
-      }
+  this.set = function(query, entry, limit, ttl) {
+    var index = readIndex(),
+      position = findQuery(index, query),
+      size = entry.results.length;
+    if (position >= 0) {
+      index.order.splice(position, 1);
     }
-    else if ($results.is(':visible')) {
-      // Store the scrolling position for later
-      $results.data('scroll-top', $results.scrollTop())
-        .hide(); // Hiding it resets it's scrollTop
-      if (!hiddenResults) {
-        hiddenResults = true;
-        callbacks.afterHide($results);
-      }
+    $.each(index.order, function(i, item) {
+      size += item[1];
+    });
+    // Now reduce size until it fits
+    while (size > limit && index.order.length) {
+      var item = index.order.shift();
+      size -= item[1];
+      storage.removeItem(entryKey(item[0]));
     }
+    index.order.push([query, entry.results.length]);
+    entry.expires = ttl ? new Date().getTime() + ttl : 0;
+    storage.setItem(entryKey(query), entry);
+    storage.setItem(indexKey, index);
   };
 
   /**
-   * Regenerate the DOM content within the results list for a given set of
-   * results. Heavy method, use only when necessary.
+   * Remove a cache entry.
    *
-   * @param {Array[Object]} results
-   *   An array of result objects to render.
+   * @param {String} query
+   *   The query string.
    */
-  var renderResults = function(results) {
-    $results.empty();
-    var groups = {}; // Key is the group name, value is the heading element.
+  this.remove = function(query) {
+    var index = readIndex(),
+      position = findQuery(index, query);
+    if (position >= 0) {
+      index.order.splice(position, 1);
+      storage.setItem(indexKey, index);
+    }
+    storage.removeItem(entryKey(query));
+  };
 
-    $.each(results, function(index, result) {
-      if ($.type(result) != 'object') {
-        return; // Continue
-      }
+  /**
+   * Remove all entries of this namespace.
+   */
+  this.clear = function() {
+    $.each(readIndex().order, function(i, item) {
+      storage.removeItem(entryKey(item[0]));
+    });
+    storage.removeItem(indexKey);
+  };
+};
 
-      var output = callbacks.themeResult(result);
-      if ($.type(output) != 'string') {
-        return; // Continue
-      }
+/*
+ * Read the pagination state from the processed data of a remote or function
+ * resource.
+ *
+ * @param {mixed} data
+ *   An array of results, or a page object with the properties results, more
+ *   and optionally cursor.
+ *
+ * @param {Object} [previous]
+ *   The pagination state of the previous page, if any.
+ *
+ * @returns {Object}
+ *   The pagination state with the properties more, cursor and number, or
+ *   undefined if there are no more results.
+ */
+var readPage = function(data, previous) {
+  if (!$.isPlainObject(data) || !data.more) {
+    return;
+  }
+  var number = (previous ? previous.number : 1) + 1;
+  return {
+    more: true,
+    // Without a cursor, the next page number is used
+    cursor: data.cursor === undefined || data.cursor === null ?
+            number : data.cursor,
+    number: number
+  };
+};
 
-      // Add the group if it doesn't exist
-      var group = callbacks.getGroup(result);
-      if ($.type(group) == 'string' && !groups[group]) {
-        var $groupHeading = $('<li />').addClass('group')
-          .append($('<h3 />').html(group))
-          .appendTo($results);
-        groups[group] = $groupHeading;
-      }
-
-      var $result = $('<li />').addClass('result')
-        .append(output)
-        .data('result', result) // Store the result object on this DOM element
-        .addClass(result.addClass);
-
-      // First groupless item
-      if ($.type(group) != 'string' &&
-          !$results.children().first().is('.result')) {
-        $results.prepend($result);
-        return; // Continue
+/*
+ * Parse an XML response into a page object. Every result element becomes a
+ * result object, with a property per attribute and per child element, which
+ * holds the element's text. The attributes more, cursor and complete of the
+ * document element are read as the page object's properties.
+ *
+ * @param {Object} xml
+ *   The XML document.
+ *
+ * @returns {Object}
+ *   The page object, see callbacks.processRemoteData.
+ */
+var parseXmlResults = function(xml) {
+  var $root = $(xml.documentElement);
+  return {
+    results: $root.find('result').map(function() {
+      var result = {};
+      $.each(this.attributes, function(i, attribute) {
+        result[attribute.name] = attribute.value;
+      });
+      $(this).children().each(function() {
+        result[this.nodeName] = $(this).text();
+      });
+      return result;
+    }).get(),
+    more: $root.attr('more') == 'true',
+    cursor: $root.attr('cursor'),
+    complete: $root.attr('complete') == 'true'
+  };
+};
+
+/*
+ * Create an abort controller for a remote call. Its signal is handed to
+ * fetchRemoteData, which may check signal.aborted or register listeners
+ * using signal.onAbort(listener), that are invoked once upon abortion.
+ *
+ * @returns {Object}
+ *   The controller, with a signal property and an abort() method.
+ */
+var createAbortController = function() {
+  var listeners = [],
+    signal = {
+      aborted: false,
+      onAbort: function(listener) {
+        if (signal.aborted) {
+          listener();
+        }
+        else {
+          listeners.push(listener);
+        }
       }
-      var $traverseFrom = ($.type(group) == 'string') ?
-                          groups[group] : $results.children().first();
-      var $target = $traverseFrom.nextUntil('.group').last();
-      $result.insertAfter($target.length ? $target : $traverseFrom);
-    });
+    };
+  return {
+    signal: signal,
+    abort: function() {
+      if (signal.aborted) {
+        return;
+      }
+      signal.aborted = true;
+      $.each(listeners, function(i, listener) {
+        listener();
+      });
+      listeners = [];
+    }
   };
 };
 
+/*
+ * Retrieve the caret position of a text input element.
+ *
+ * @param {Object} elem
+ *   The DOM text input element. For a contenteditable element, the caret
+ *   offset within the text node which holds it is returned.
+ *
+ * @returns {Number}
+ *   The caret offset within the element's value.
+ */
+var getCaretPosition = function(elem) {
+  if (!('value' in elem)) {
+    var caret = getEditableCaret(elem);
+    return caret ? caret.offset : 0;
+  }
+  try {
+    if ($.type(elem.selectionStart) == 'number') {
+      return elem.selectionStart;
+    }
+    if (document.selection) { // IE < 9
+      var range = document.selection.createRange();
+      range.moveStart('character', -elem.value.length);
+      return range.text.length;
+    }
+  }
+  catch (e) {} // Some input types do not support selection
+  return elem.value.length;
+};
+
+/*
+ * Select a range of a text input element's value, or move the caret if the
+ * range is empty.
+ *
+ * @param {Object} elem
+ *   The DOM text input element. For a contenteditable element, the offsets
+ *   are within the text node which holds the caret.
+ *
+ * @param {Number} start
+ *   The start offset of the range.
+ *
+ * @param {Number} [end]
+ *   (default=start) The end offset of the range.
+ */
+var setSelection = function(elem, start, end) {
+  end = $.type(end) == 'number' ? end : start;
+  if (!('value' in elem)) {
+    var caret = getEditableCaret(elem);
+    if (caret) {
+      var selection = window.getSelection(),
+        range = document.createRange();
+      range.setStart(caret.node, start);
+      range.setEnd(caret.node, end);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+    return;
+  }
+  try {
+    if (elem.setSelectionRange) {
+      elem.setSelectionRange(start, end);
+    }
+    else if (elem.createTextRange) { // IE < 9
+      var range = elem.createTextRange();
+      range.collapse(true);
+      range.moveEnd('character', end);
+      range.moveStart('character', start);
+      range.select();
+    }
+  }
+  catch (e) {} // Some input types do not support selection
+};
+
+/*
+ * Find the text node which holds the caret in a contenteditable element.
+ *
+ * @param {Object} elem
+ *   The contenteditable DOM element.
+ *
+ * @returns {Object}
+ *   An object with the properties node (the text node) and offset (the caret
+ *   offset within its text), or null if there is no caret in a text node of
+ *   the element.
+ */
+var getEditableCaret = function(elem) {
+  var selection = window.getSelection && window.getSelection(),
+    range = selection && selection.rangeCount && selection.getRangeAt(0);
+  if (!range || !range.collapsed || range.startContainer.nodeType != 3 ||
+      !$.contains(elem, range.startContainer)) {
+    return null;
+  }
+  return { node: range.startContainer, offset: range.startOffset };
+};
+
+/*
+ * Styles which affect the layout of text, copied to the mirror element of
+ * getCaretCoordinates().
+ */
+var mirroredStyles = ['boxSizing', 'width', 'height', 'overflowX',
+  'overflowY', 'borderTopWidth', 'borderRightWidth', 'borderBottomWidth',
+  'borderLeftWidth', 'borderStyle', 'paddingTop', 'paddingRight',
+  'paddingBottom', 'paddingLeft', 'fontStyle', 'fontVariant', 'fontWeight',
+  'fontSize', 'lineHeight', 'fontFamily', 'textAlign', 'textTransform',
+  'textIndent', 'letterSpacing', 'wordSpacing'];
+
+/*
+ * Calculate the document coordinates of the caret in a textarea, text input
+ * or contenteditable element. For form fields, the text before the caret is
+ * laid out in a hidden mirror element with the same styles.
+ *
+ * @param {Object} elem
+ *   The DOM element.
+ *
+ * @returns {Object}
+ *   An object with the properties top and left (of the caret) and height (of
+ *   the line), in pixels.
+ */
+var getCaretCoordinates = function(elem) {
+  var $elem = $(elem),
+    offset = $elem.offset(),
+    rect;
+  if (!('value' in elem)) {
+    try {
+      rect = window.getSelection().getRangeAt(0).getClientRects()[0];
+    }
+    catch (e) {} // No selection, or no support for client rects
+    if (!rect) {
+      return $.extend({ height: $elem.outerHeight() }, offset);
+    }
+    return {
+      top: rect.top + $(window).scrollTop(),
+      left: rect.left + $(window).scrollLeft(),
+      height: rect.bottom - rect.top
+    };
+  }
+  var value = $elem.val(),
+    position = getCaretPosition(elem),
+    $mirror = $('<div />');
+  $.each(mirroredStyles, function(i, name) {
+    $mirror.css(name, $elem.css(name));
+  });
+  $mirror.css({
+      position: 'absolute',
+      visibility: 'hidden',
+      top: 0,
+      left: -9999,
+      whiteSpace: elem.nodeName == 'TEXTAREA' ? 'pre-wrap' : 'pre',
+      wordWrap: 'break-word'
+    })
+    .text(value.substring(0, position))
+    .appendTo('body');
+  var $marker = $('<span />').text(value.substring(position) || '.')
+      .appendTo($mirror),
+    coordinates = {
+      top: offset.top + $marker[0].offsetTop - elem.scrollTop +
+           (parseFloat($elem.css('borderTopWidth')) || 0),
+      left: offset.left + $marker[0].offsetLeft - elem.scrollLeft +
+            (parseFloat($elem.css('borderLeftWidth')) || 0),
+      height: $marker.outerHeight()
+    };
+  $mirror.remove();
+  return coordinates;
+};
+
 /*
  * CALLBACK METHODS
  */
@@ -611,16 +3713,20 @@ var defaultCallbacks = {
    * keyboard to select an element.
    *
    * <br /><br /><em>Default behavior: Inserts the result's title into the
-   * input field.</em>
+   * input field, in place of the query.</em>
    *
    * @param {Object} result
    *   The result object that was selected.
    *
    * @param {Object} $input
    *   The input DOM element, wrapped in jQuery.
+   *
+   * @param {Function} replaceQuery
+   *   Takes a string which replaces the query part of the input's value. In
+   *   multiple mode this is only the current token, otherwise the whole value.
    */
-  select: function(result, $input) {
-    $input.val(result.title);
+  select: function(result, $input, replaceQuery) {
+    replaceQuery(result.title);
   },
 
   /**
@@ -645,6 +3751,9 @@ var defaultCallbacks = {
    *   </li><li>
    *     "auto": If options.autoHighlight is set, an automatic highlight of the
    *     first result will occur each time a new result set is rendered.
+   *   </li><li>
+   *     "api": The highlight method was called, see
+   *     {@link jQuery.betterAutocomplete}.
    *   </li></ul>
    */
   highlight: function(result, $input, trigger) {
@@ -655,27 +3764,179 @@ var defaultCallbacks = {
    * Given a result object, theme it to HTML.
    *
    * <br /><br /><em>Default behavior: Wraps result.title in an h4 tag, and
-   * result.description in a p tag. Note that no sanitization of malicious
-   * scripts is done here. Whatever is within the title/description is just
-   * printed out. May contain HTML.</em>
+   * result.description in a p tag. The fields are converted to HTML using
+   * format, so they are escaped unless options.allowHtml says otherwise. If
+   * you override this callback, remember to use format for untrusted
+   * content.</em>
    *
    * @param {Object} result
    *   The result object that should be rendered.
    *
+   * @param {String} query
+   *   The canonical query which the result was found for.
+   *
+   * @param {Function} format
+   *   Takes a text field and its name, e.g. "title", and returns it as HTML.
+   *   The text is escaped, unless the field allows HTML, see
+   *   options.allowHtml. If options.highlightMatches is set, the parts which
+   *   match the query are wrapped in mark tags.
+   *
    * @returns {String}
    *   HTML output, will be wrapped in a list element.
    */
-  themeResult: function(result) {
+  themeResult: function(result, query, format) {
     var output = [];
+    format = format || escapeHtml;
     if ($.type(result.title) == 'string') {
-      output.push('<h4>', result.title, '</h4>');
+      output.push('<h4>', format(result.title, 'title'), '</h4>');
     }
     if ($.type(result.description) == 'string') {
-      output.push('<p>', result.description, '</p>');
+      output.push('<p>', format(result.description, 'description'), '</p>');
     }
     return output.join('');
   },
 
+  /**
+   * Given a selected result object, theme it to HTML for its chip.
+   *
+   * <br /><br /><em>Default behavior: Returns result.title, converted to
+   * HTML using format.</em>
+   *
+   * @param {Object} result
+   *   The selected result object.
+   *
+   * @param {Function} format
+   *   Takes a text field and its name, e.g. "title", and returns it as HTML.
+   *   The text is escaped, unless the field allows HTML, see
+   *   options.allowHtml.
+   *
+   * @returns {String}
+   *   HTML output, will be wrapped in the chip element together with a
+   *   remove button.
+   */
+  themeChip: function(result, format) {
+    return (format || escapeHtml)(result.title, 'title');
+  },
+
+  /**
+   * Sanitize a result field which is allowed to contain HTML, see
+   * options.allowHtml. This is the place to remove malicious markup from
+   * partly trusted sources.
+   *
+   * <br /><br /><em>Default behavior: Returns the HTML as is, i.e. the
+   * source is trusted.</em>
+   *
+   * @param {String} html
+   *   The field's HTML.
+   *
+   * @param {String} field
+   *   The name of the field: "title", "description" or "group".
+   *
+   * @returns {String}
+   *   The sanitized HTML.
+   */
+  sanitizeHtml: function(html, field) {
+    return html;
+  },
+
+  /**
+   * Compose the message which is announced to screen readers when the
+   * suggestion list is shown or when a search did not yield any results.
+   *
+   * <br /><br /><em>Default behavior: Returns an English sentence with the
+   * number of results.</em>
+   *
+   * @param {Number} count
+   *   The number of results in the suggestion list, may be zero.
+   *
+   * @returns {String}
+   *   Plain text message, not HTML.
+   */
+  themeResultCount: function(count) {
+    if (count == 0) {
+      return 'No results.';
+    }
+    return count + (count == 1 ? ' result is' : ' results are') +
+      ' available, use up and down arrow keys to navigate.';
+  },
+
+  /**
+   * Theme the message row which is shown when a search did not yield any
+   * results, if options.statusRows is set. The row is not selectable.
+   *
+   * <br /><br /><em>Default behavior: Returns "No results" in a p tag.</em>
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @returns {String}
+   *   The HTML output, or an empty string to hide the suggestion list
+   *   instead.
+   */
+  themeEmpty: function(query) {
+    return '<p>No results</p>';
+  },
+
+  /**
+   * Theme the message row which is shown when the remote call of a query
+   * failed. The row is not selectable.
+   *
+   * <br /><br /><em>Default behavior: Returns "Could not load suggestions" in
+   * a p tag.</em>
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @returns {String}
+   *   The HTML output, or an empty string to hide the suggestion list
+   *   instead.
+   */
+  themeError: function(query) {
+    return '<p>Could not load suggestions</p>';
+  },
+
+  /**
+   * Theme the status row which is shown while the query is shorter than
+   * options.charLimit, if options.statusRows is set. The row is not
+   * selectable.
+   *
+   * <br /><br /><em>Default behavior: Returns "Type N more characters..." in
+   * a p tag.</em>
+   *
+   * @param {Number} remaining
+   *   The number of characters missing from the query.
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @returns {String}
+   *   The HTML output, or an empty string to hide the suggestion list
+   *   instead.
+   */
+  themeHint: function(remaining, query) {
+    return '<p>Type ' + remaining + ' more character' +
+      (remaining == 1 ? '' : 's') + '&hellip;</p>';
+  },
+
+  /**
+   * Theme the status row which is shown while remote results are awaited,
+   * if options.statusRows is set, and under the heading of each source
+   * which is loading, see options.sources. The row is not selectable.
+   *
+   * <br /><br /><em>Default behavior: Returns a spinner and "Searching..." in
+   * a p tag.</em>
+   *
+   * @param {String} query
+   *   The canonical query.
+   *
+   * @returns {String}
+   *   The HTML output, or an empty string to hide the suggestion list
+   *   instead.
+   */
+  themeLoading: function(query) {
+    return '<p><span class="spinner"></span>Searching&hellip;</p>';
+  },
+
   /**
    * Retrieve local results from the local resource by providing a query
    * string.
@@ -683,7 +3944,9 @@ var defaultCallbacks = {
    * <br /><br /><em>Default behavior: Automatically handles arrays, if the
    * data inside each element is either a plain string or a result object.
    * If it is a result object, it will match the query string against the
-   * title and description property. Search is not case sensitive.</em>
+   * title and description property. Search is not case sensitive. Results
+   * are sorted by the best score of the matcher for either field. Equal
+   * scores keep the source order.</em>
    *
    * @param {String} query
    *   The query string, unescaped. May contain any UTF-8 character.
@@ -696,41 +3959,52 @@ var defaultCallbacks = {
    * @param {Boolean} caseSensitive
    *   From options.caseSensitive, the searching should be case sensitive.
    *
+   * @param {Function} [matcher]
+   *   Takes the query and a text, returns null if they do not match or a
+   *   match object with a score property. Selected by options.matcher.
+   *
+   * @param {Function} [fold]
+   *   Folds a text the same way as the query, i.e. converts it to lowercase
+   *   unless case sensitive and strips diacritics if options.normalize is
+   *   set.
+   *
    * @returns {Array[Object]}
    *   A flat array containing pure result objects. May be an empty array.
    */
-  queryLocalResults: function(query, resource, caseSensitive) {
+  queryLocalResults: function(query, resource, caseSensitive, matcher, fold) {
     if (!$.isArray(resource)) {
       // Per default Better Autocomplete only handles arrays
       return [];
     }
-    var results = [];
+    matcher = matcher || matchers.substring;
+    var matches = [],
+      matchField = function(text) {
+        if ($.type(text) != 'string') {
+          return 0;
+        }
+        var match = matcher(query, fold ? fold(text) :
+                            (caseSensitive ? text : text.toLowerCase()));
+        return match ? match.score : 0;
+      };
     $.each(resource, function(i, value) {
+      var score;
       switch ($.type(value)) {
       case 'string': // Flat array of strings
-        if ((caseSensitive ? value : value.toLowerCase())
-            .indexOf(query) >= 0) {
-          // Match found
-          results.push({ title: value });
-        }
+        score = matchField(value);
+        value = { title: value };
         break;
       case 'object': // Array of result objects
-        if ($.type(value.title) == 'string' &&
-            (caseSensitive ? value.title : value.title.toLowerCase())
-            .indexOf(query) >= 0) {
-          // Match found in title field
-          results.push(value);
-        }
-        else if ($.type(value.description) == 'string' &&
-                 (caseSensitive ? value.description :
-                 value.description.toLowerCase()).indexOf(query) >= 0) {
-          // Match found in description field
-          results.push(value);
-        }
+        // Match title and description field
+        score = Math.max(matchField(value.title),
+                         matchField(value.description));
         break;
       }
+      if (score > 0) {
+        // Match found
+        matches.push({ result: value, score: score, index: i });
+      }
     });
-    return results;
+    return sortMatches(matches);
   },
 
   /**
@@ -738,15 +4012,18 @@ var defaultCallbacks = {
    * fetching is finished. Must be asynchronous in order to not freeze the
    * Better Autocomplete instance.
    *
-   * <br /><br /><em>Default behavior: Fetches JSON data from the url, using
-   * the jQuery.ajax() method. Errors are ignored.</em>
+   * <br /><br /><em>Default behavior: Fetches JSON or XML data from the url,
+   * using the jQuery.ajax() method, in the shape of the request. Errors are
+   * ignored. Returns the jqXHR object, so that superseded requests can be
+   * aborted.</em>
    *
    * @param {String} url
    *   The URL to fetch data from.
    *
    * @param {Function} completeCallback
    *   This function must be called, even if an error occurs. It takes zero
-   *   or one parameter: the data that was fetched.
+   *   or one parameter: the data that was fetched. Calling it without a
+   *   parameter indicates an error.
    *
    * @param {Number} timeout
    *   The preferred timeout for the request. This callback should respect
@@ -754,11 +4031,33 @@ var defaultCallbacks = {
    *
    * @param {Boolean} crossOrigin
    *   True if a cross origin request should be performed.
+   *
+   * @param {Object} signal
+   *   The abort signal of this request. When the request is superseded,
+   *   signal.aborted becomes true and listeners registered with
+   *   signal.onAbort(listener) are invoked. The completeCallback will
+   *   ignore any data after that.
+   *
+   * @param {Object} request
+   *   The shape of the request, see options.method, options.encoding,
+   *   options.headers and options.dataType. It has the properties method,
+   *   headers, dataType and, unless the method is GET, body (the encoded
+   *   parameters) and contentType.
+   *
+   * @returns {Object}
+   *   Optionally an object with an abort() method, which will be invoked
+   *   when the request is superseded.
    */
-  fetchRemoteData: function(url, completeCallback, timeout, crossOrigin) {
-    $.ajax({
+  fetchRemoteData: function(url, completeCallback, timeout, crossOrigin,
+                            signal, request) {
+    return $.ajax({
       url: url,
-      dataType: crossOrigin && !$.support.cors ? 'jsonp' : 'json',
+      type: request.method,
+      data: request.body,
+      contentType: request.contentType,
+      headers: request.headers,
+      dataType: request.dataType == 'xml' ? 'xml' :
+                crossOrigin && !$.support.cors ? 'jsonp' : 'json',
       timeout: timeout,
       success: function(data, textStatus) {
         completeCallback(data);
@@ -774,19 +4073,37 @@ var defaultCallbacks = {
    * from it. This callback is useful if the fetched data is not the plain
    * results array, but a more complicated object which does contain results.
    *
+   * <br /><br />For paginated resources, return a page object instead, with
+   * the properties results (the array of result objects), more (true if
+   * there are more results) and optionally cursor (an opaque value which is
+   * passed to constructURL for fetching the next page, defaults to the page
+   * number). The next page is fetched when the user scrolls to the bottom of
+   * the suggestion list or arrows past the last result, and its results are
+   * appended. A page object may also have the property complete set to true,
+   * which tells that the results are all the results there are for the
+   * query, see options.filterCached.
+   *
    * <br /><br /><em>Default behavior: If the data is defined and is an
-   * array, return it. Otherwise return an empty array.</em>
+   * array, return it. If it is an XML document, return a page object of its
+   * result elements, e.g. &lt;results more="true"&gt;&lt;result
+   * id="1"&gt;&lt;title&gt;Foo&lt;/title&gt;&lt;/result&gt;&lt;/results&gt;,
+   * with a property per attribute and child element of a result. Otherwise
+   * return an empty array.</em>
    *
    * @param {mixed} data
    *   The raw data recieved from the server. Can be undefined.
    *
-   * @returns {Array[Object]}
-   *   A flat array containing result objects. May be an empty array.
+   * @returns {Array[Object]|Object}
+   *   A flat array containing result objects, or a page object. May be an
+   *   empty array.
    */
   processRemoteData: function(data) {
     if ($.isArray(data)) {
       return data;
     }
+    else if ($.isXMLDoc(data)) {
+      return parseXmlResults(data);
+    }
     else {
       return [];
     }
@@ -803,7 +4120,8 @@ var defaultCallbacks = {
    *   The result object.
    *
    * @returns {String}
-   *   The group name, may contain HTML. If no group, don't return anything.
+   *   The group name. It may only contain HTML if options.allowHtml allows
+   *   the "group" field. If no group, don't return anything.
    */
   getGroup: function(result) {
     if ($.type(result.group) == 'string') {
@@ -837,6 +4155,20 @@ var defaultCallbacks = {
     $input.removeClass('fetching');
   },
 
+  /**
+   * Executed when a remote call has failed, after all retries. The error is
+   * not cached, so the query will be fetched again when it is reprocessed.
+   *
+   * <br /><br /><em>Default behavior: Does nothing.</em>
+   *
+   * @param {String} query
+   *   The canonical query of the failed call.
+   *
+   * @param {Object} $input
+   *   The input DOM element, wrapped in jQuery.
+   */
+  error: function(query, $input) {},
+
   /**
    * Executed after the suggestion list has been shown.
    *
@@ -861,7 +4193,8 @@ var defaultCallbacks = {
    * Construct the remote fetching URL.
    *
    * <br /><br /><em>Default behavior: Adds "?q=<query>" or "&q=<query>" to the
-   * path. The query string is URL encoded.</em>
+   * path, "&cursor=<cursor>" for subsequent pages and the extra parameters.
+   * All values are URL encoded.</em>
    *
    * @param {String} path
    *   The path given in the {@link jQuery.betterAutocomplete} constructor.
@@ -870,18 +4203,33 @@ var defaultCallbacks = {
    *   The raw query string. Remember to URL encode this to prevent illegal
    *   character errors.
    *
+   * @param {mixed} [cursor]
+   *   The cursor of the page to fetch, see processRemoteData. Undefined for
+   *   the first page.
+   *
+   * @param {Object} [params]
+   *   The extra parameters, see options.params and options.limit.
+   *
    * @returns {String}
    *   The URL, ready for fetching.
    */
-  constructURL: function(path, query) {
-    return path + (path.indexOf('?') > -1 ? '&' : '?') + 'q=' + encodeURIComponent(query);
+  constructURL: function(path, query, cursor, params) {
+    var url = path + (path.indexOf('?') > -1 ? '&' : '?') + 'q=' +
+              encodeURIComponent(query);
+    if (cursor !== undefined) {
+      url += '&cursor=' + encodeURIComponent(cursor);
+    }
+    if (!$.isEmptyObject(params)) {
+      url += '&' + $.param(params);
+    }
+    return url;
   },
 
   /**
    * To ease up on server load, treat similar strings the same.
    *
    * <br /><br /><em>Default behavior: Trims the query from leading and
-   * trailing whitespace.</em>
+   * trailing whitespace, and folds it.</em>
    *
    * @param {String} rawQuery
    *   The user's raw input.
@@ -889,11 +4237,19 @@ var defaultCallbacks = {
    * @param {Boolean} caseSensitive
    *   Case sensitive. Will convert to lowercase if false.
    *
+   * @param {Function} [fold]
+   *   Folds a text for comparison, i.e. converts it to lowercase unless case
+   *   sensitive and strips diacritics if options.normalize is set. Local
+   *   result fields are folded the same way.
+   *
    * @returns {String}
    *   The canonical query associated with this string.
    */
-  canonicalQuery: function(rawQuery, caseSensitive) {
+  canonicalQuery: function(rawQuery, caseSensitive, fold) {
     var query = $.trim(rawQuery);
+    if (fold) {
+      return fold(query);
+    }
     if (!caseSensitive) {
       query = query.toLowerCase();
     }
@@ -901,32 +4257,109 @@ var defaultCallbacks = {
   },
 
   /**
-   * Insert the results list into the DOM and position it properly.
+   * Insert the results list into the DOM. It is positioned by
+   * {@link callbacks.positionSuggestionList} whenever it is shown, unless
+   * this callback is overridden and that one is not, in which case this
+   * callback is responsible for positioning the list.
    *
-   * <br /><br /><em>Default behavior: Inserts suggestion list directly
-   * after the input element and sets an absolute position using
-   * jQuery.position() for determining left/top values. Also adds a nice
-   * looking box-shadow to the list.</em>
+   * <br /><br /><em>Default behavior: Appends the suggestion list to the
+   * container, or inserts it directly after the input element if there is
+   * none, with an absolute position. Also adds a nice looking box-shadow to
+   * the list.</em>
    *
    * @param {Object} $results
    *   The UL list element to insert, wrapped in jQuery.
    *
    * @param {Object} $input
    *   The text input element, wrapped in jQuery.
+   *
+   * @param {mixed} container
+   *   The element or selector from options.appendTo, or null.
    */
-  insertSuggestionList: function($results, $input) {
-    $results.width($input.outerWidth() - 2) // Subtract border width.
-      .css({
+  insertSuggestionList: function($results, $input, container) {
+    $results.css({
         position: 'absolute',
-        left: $input.position().left,
-        top: $input.position().top + $input.outerHeight(),
         zIndex: 10,
-        maxHeight: '330px',
         // Visually indicate that results are in the topmost layer
         boxShadow: '0 0 15px rgba(0, 0, 0, 0.5)'
       })
-      .hide()
-      .insertAfter($input);
+      .hide();
+    if (container) {
+      $results.appendTo(container);
+    }
+    else {
+      $results.insertAfter($input);
+    }
+  },
+
+  /**
+   * Position the visible suggestion list next to the input. Invoked when
+   * the list is shown or redrawn, and when the window is resized or a
+   * container is scrolled while it is visible.
+   *
+   * <br /><br /><em>Default behavior: Aligns the list with the input's
+   * bottom left corner, or the caret in mention mode, or flips it above the
+   * input if it does not fit below and there is more room above. The height
+   * is limited to the available space in the viewport. The class "flipped"
+   * is set on the list when it is above the input.</em>
+   *
+   * @param {Object} $results
+   *   The UL list element, wrapped in jQuery.
+   *
+   * @param {Object} $input
+   *   The text input element, wrapped in jQuery.
+   *
+   * @param {Number} maxHeight
+   *   The maximum height in pixels, from options.maxHeight.
+   *
+   * @param {Boolean} flip
+   *   If the list may be flipped above the input, from options.flip.
+   *
+   * @param {Object} [caret]
+   *   In mention mode, the document coordinates of the caret: top, left and
+   *   height of the line. The list is aligned with the caret instead of the
+   *   input, and its width is left to the stylesheet.
+   */
+  positionSuggestionList: function($results, $input, maxHeight, flip,
+                                   caret) {
+    var $window = $(window),
+      $parent = $results.offsetParent(),
+      offset = caret || $input.offset(),
+      parentOffset = { top: 0, left: 0 },
+      inputHeight = caret ? caret.height : $input.outerHeight(),
+      viewTop = $window.scrollTop(),
+      viewLeft = $window.scrollLeft(),
+      viewRight = viewLeft + $window.width(),
+      below = viewTop + $window.height() - offset.top - inputHeight,
+      above = offset.top - viewTop,
+      borders = $results.outerHeight() - $results.height();
+    // The list is positioned within the padding box of its offset parent
+    if (!$parent.is('html, body')) {
+      parentOffset = $parent.offset();
+      parentOffset.top += (parseFloat($parent.css('borderTopWidth')) || 0) -
+        $parent.scrollTop();
+      parentOffset.left += (parseFloat($parent.css('borderLeftWidth')) || 0) -
+        $parent.scrollLeft();
+    }
+    if (caret) {
+      $results.css('width', '');
+    }
+    else {
+      $results.width($input.outerWidth() - 2); // Subtract border width.
+    }
+    $results.css('maxHeight', maxHeight);
+    var flipped = flip && $results.outerHeight() > below && above > below;
+    $results.css('maxHeight', Math.max(0, Math.min(maxHeight,
+                                       (flipped ? above : below) - borders)));
+    $results.css({
+        // Keep the list within the viewport horizontally
+        left: Math.max(viewLeft, Math.min(offset.left,
+                                   viewRight - $results.outerWidth())) -
+              parentOffset.left,
+        top: (flipped ? offset.top - $results.outerHeight() :
+              offset.top + inputHeight) - parentOffset.top
+      })
+      .toggleClass('flipped', flipped);
   }
 };
 